@@ -0,0 +1,48 @@
+"use strict";
+
+const Cluster = require('cluster');
+
+/**
+ * Default worker backend, which runs each worker in its own cluster process, so workers can share server ports
+ *
+ * Backends start workers that look like cluster workers to the broker (see README)
+ */
+class ClusterBackend {
+
+    /**
+     * Constructor
+     */
+    constructor() {
+        // Only the master can fork cluster workers, but a broker can still run anywhere with the process or thread backends
+        if (!Cluster.isMaster) {
+            throw new Error('Cluster workers can only be started from the cluster master, use the process or thread mode instead');
+        }
+    }
+
+    /**
+     * Starts a worker process
+     * @param {{env: *, exec: string, args: string[], execArgv: string[]}} options – Worker env vars, plus the script, arguments and node flags to use instead of the cluster's settings
+     * @return {Worker} – Cluster worker
+     */
+    fork(options) {
+        const settings = {};
+        if (options.exec) settings.exec = options.exec;
+        if (options.args) settings.args = options.args;
+        if (options.execArgv) settings.execArgv = options.execArgv;
+
+        if (Object.keys(settings).length === 0) {
+            return Cluster.fork(options.env);
+        }
+
+        // Cluster settings are global, so only apply ours for this fork, and put back whatever was there before
+        const previous = Cluster.settings;
+        (Cluster.setupPrimary || Cluster.setupMaster).call(Cluster, settings);
+        try {
+            return Cluster.fork(options.env);
+        } finally {
+            Cluster.settings = previous;
+        }
+    }
+}
+
+module.exports = ClusterBackend;
@@ -0,0 +1,290 @@
+"use strict";
+
+const EventEmitter = require('events').EventEmitter;
+const FS = require('fs');
+const Path = require('path');
+
+/**
+ * Characters that make a path a glob pattern
+ * @type {RegExp}
+ */
+const GLOB_CHARS = /[*?[{]/;
+
+/**
+ * Watches files and directories for changes, and emits the changed files once things settle down
+ *
+ * Directories are watched one by one (instead of with fs.watch's recursive mode), so it works the same on every platform
+ */
+class FileWatcher extends EventEmitter {
+
+    /**
+     * Constructor
+     * @param {{paths: string|string[], ignore: Array<string|RegExp|function(string):boolean>, debounce: number, cwd: string}} options – Watch options (see README)
+     */
+    constructor(options) {
+        super();
+
+        options = options || {};
+
+        this.paths = [].concat(options.paths || []);
+        this.ignore = [].concat(options.ignore || []);
+        this.debounce = options.debounce !== undefined ? options.debounce : 300;
+        this.cwd = options.cwd || process.cwd();
+
+        if (this.paths.length === 0) {
+            throw new Error('FileWatcher requires at least one path or glob to watch');
+        }
+
+        // What to watch, and which files under it count
+        this._roots = this.paths.map((pattern) => FileWatcher._compileRoot(Path.resolve(this.cwd, pattern)));
+        this._ignored = this.ignore.map((pattern) => {
+            if (typeof pattern === "function") return pattern;
+            if (pattern instanceof RegExp) {
+                return (file) => pattern.test(FileWatcher._normalize(file));
+            }
+
+            // Globs that start with ** match anywhere, the rest are relative to the working directory
+            const regex = FileWatcher.globToRegExp(pattern.indexOf('**') === 0 ? pattern : Path.resolve(this.cwd, pattern));
+            return (file) => regex.test(FileWatcher._normalize(file));
+        });
+
+        // fs.watch handles, keyed by directory
+        this._watchers = new Map();
+
+        // Files changed since the last change event
+        this._changed = new Set();
+        this._debounceTimer = null;
+    }
+
+    /**
+     * Converts a glob pattern to a regular expression
+     *
+     * Supports `**` (any number of directories), `*` and `?` (within a path segment), `[...]` character classes and `{a,b}` alternatives
+     * @param {string} glob – Glob pattern
+     * @return {RegExp}
+     */
+    static globToRegExp(glob) {
+        glob = FileWatcher._normalize(glob);
+        let source = '';
+        let braces = 0;
+
+        for (let i = 0; i < glob.length; i++) {
+            const char = glob[i];
+            if (char === '*') {
+                if (glob[i + 1] === '*') {
+                    // Globstar, which can also match no directories at all
+                    if (glob[i + 2] === '/') {
+                        source += '(?:.*/)?';
+                        i += 2;
+                    } else {
+                        source += '.*';
+                        i += 1;
+                    }
+                } else {
+                    source += '[^/]*';
+                }
+            } else if (char === '?') {
+                source += '[^/]';
+            } else if (char === '[') {
+                const end = glob.indexOf(']', i + 1);
+                if (end < 0) {
+                    source += '\\[';
+                } else {
+                    source += '[' + glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+                    i = end;
+                }
+            } else if (char === '{') {
+                braces++;
+                source += '(?:';
+            } else if (char === '}' && braces > 0) {
+                braces--;
+                source += ')';
+            } else if (char === ',' && braces > 0) {
+                source += '|';
+            } else {
+                source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+            }
+        }
+
+        return new RegExp('^' + source + '$');
+    }
+
+    /**
+     * Uses forward slashes, so patterns work the same on every platform
+     * @param {string} file – Path
+     * @return {string}
+     * @private
+     */
+    static _normalize(file) {
+        return file.split(Path.sep).join('/');
+    }
+
+    /**
+     * Works out which directory to watch for a path or glob, and which files under it match
+     * @param {string} pattern – Absolute path or glob
+     * @return {{base: string, recursive: boolean, match: function(string):boolean}}
+     * @private
+     */
+    static _compileRoot(pattern) {
+        if (GLOB_CHARS.test(pattern)) {
+            // Watch the deepest directory that isn't part of the glob
+            const segments = pattern.split(Path.sep);
+            const index = segments.findIndex((segment) => GLOB_CHARS.test(segment));
+            const base = segments.slice(0, index).join(Path.sep) || Path.sep;
+            const regex = FileWatcher.globToRegExp(pattern);
+
+            return {
+                base,
+                recursive: index < segments.length - 1 || segments[index].indexOf('**') >= 0,
+                match: (file) => regex.test(FileWatcher._normalize(file))
+            };
+        }
+
+        let stats = null;
+        try {
+            stats = FS.statSync(pattern);
+        } catch (err) {
+            // Might not exist yet, so watch for it to show up
+        }
+
+        if (stats && stats.isDirectory()) {
+            return { base: pattern, recursive: true, match: (file) => file.indexOf(pattern + Path.sep) === 0 };
+        }
+        return { base: Path.dirname(pattern), recursive: false, match: (file) => file === pattern };
+    }
+
+    /**
+     * Whether the given file or directory should be left alone
+     * @param {string} file – Absolute path
+     * @return {boolean}
+     * @private
+     */
+    _isIgnored(file) {
+        return this._ignored.some((test) => test(file));
+    }
+
+    /**
+     * Starts watching. Throws if a directory to watch doesn't exist.
+     */
+    start() {
+        this._roots.forEach((root) => this._watchDirectory(root.base, root.recursive, true));
+    }
+
+    /**
+     * Stops watching, and drops any changes that haven't been emitted yet
+     */
+    stop() {
+        clearTimeout(this._debounceTimer);
+        this._debounceTimer = null;
+        this._changed.clear();
+
+        this._watchers.forEach((watcher) => watcher.close());
+        this._watchers.clear();
+    }
+
+    /**
+     * Watches a directory, and its subdirectories if recursive
+     * @param {string} dir – Absolute directory path
+     * @param {boolean} recursive – Whether to watch subdirectories too
+     * @param {boolean} [required] – Whether to throw if the directory can't be watched
+     * @private
+     */
+    _watchDirectory(dir, recursive, required) {
+        // Directories are checked with a trailing separator, so patterns like **/node_modules/** skip them entirely
+        if (this._watchers.has(dir) || this._isIgnored(dir + Path.sep)) return;
+
+        let watcher;
+        try {
+            watcher = FS.watch(dir, { persistent: false }, (eventType, filename) => {
+                if (filename) this._onEvent(dir, Path.join(dir, filename.toString()));
+            });
+        } catch (err) {
+            if (required) {
+                throw new Error(`FileWatcher cannot watch ${dir}: ${err.message}`);
+            }
+            return; // Gone before we got to it
+        }
+
+        watcher.on('error', (err) => {
+            // e.g. the directory was removed out from under us
+            this._unwatchDirectory(dir);
+            if (err.code !== 'ENOENT' && err.code !== 'EPERM') {
+                this.emit('error', err);
+            }
+        });
+        this._watchers.set(dir, { close: () => watcher.close(), recursive });
+
+        if (recursive) {
+            let entries = [];
+            try {
+                entries = FS.readdirSync(dir, { withFileTypes: true });
+            } catch (err) {
+                // Gone before we got to it
+            }
+            entries.forEach((entry) => {
+                if (entry.isDirectory()) {
+                    this._watchDirectory(Path.join(dir, entry.name), true);
+                }
+            });
+        }
+    }
+
+    /**
+     * Stops watching a directory that went away
+     * @param {string} dir – Absolute directory path
+     * @private
+     */
+    _unwatchDirectory(dir) {
+        const watcher = this._watchers.get(dir);
+        if (watcher) {
+            watcher.close();
+            this._watchers.delete(dir);
+        }
+    }
+
+    /**
+     * Handles a change in a watched directory
+     * @param {string} dir – Directory that changed
+     * @param {string} file – File or directory within it that changed
+     * @private
+     */
+    _onEvent(dir, file) {
+        if (this._isIgnored(file)) return;
+
+        let stats = null;
+        try {
+            stats = FS.statSync(file);
+        } catch (err) {
+            // Deleted (or renamed away), which counts as a change too
+        }
+
+        if (stats && stats.isDirectory()) {
+            // New directories in a recursive watch get watched too
+            const parent = this._watchers.get(dir);
+            if (parent && parent.recursive) {
+                this._watchDirectory(file, true);
+            }
+            return;
+        }
+
+        if (!stats && this._watchers.has(file)) {
+            this._unwatchDirectory(file);
+            return;
+        }
+
+        if (!this._roots.some((root) => root.match(file))) return;
+
+        this._changed.add(file);
+
+        // Wait for things to settle down, since editors and builds tend to write several times in a row
+        clearTimeout(this._debounceTimer);
+        this._debounceTimer = setTimeout(() => {
+            this._debounceTimer = null;
+            const files = Array.from(this._changed).sort();
+            this._changed.clear();
+            this.emit('change', files);
+        }, this.debounce);
+    }
+}
+
+module.exports = FileWatcher;
@@ -0,0 +1,48 @@
+"use strict";
+
+/**
+ * Helpers for passing data between brokers and workers over IPC
+ */
+
+/**
+ * Tells a worker thread the broker let go of it, like a cluster worker's IPC channel closing
+ * @type {string}
+ */
+const DISCONNECT_MESSAGE = 'okanjo_broker_disconnect';
+
+/**
+ * Converts an error into a plain object that survives being sent over IPC
+ * @param {Error|*} err – Error to convert
+ * @return {{name: string, message: string, stack: string, code: *}}
+ */
+function serializeError(err) {
+    if (err instanceof Error) {
+        return {
+            name: err.name,
+            message: err.message,
+            stack: err.stack,
+            code: err.code
+        };
+    }
+    return { name: 'Error', message: String(err) };
+}
+
+/**
+ * Restores an error that was sent over IPC
+ * @param {{name: string, message: string, stack: string, code: *}} data – Serialized error
+ * @return {Error}
+ */
+function deserializeError(data) {
+    data = data || {};
+    const err = new Error(data.message);
+    err.name = data.name || 'Error';
+    if (data.stack) err.stack = data.stack;
+    if (data.code !== undefined) err.code = data.code;
+    return err;
+}
+
+module.exports = {
+    DISCONNECT_MESSAGE,
+    serializeError,
+    deserializeError
+};
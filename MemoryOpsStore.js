@@ -0,0 +1,54 @@
+"use strict";
+
+/**
+ * Default ops store, which keeps the latest ops snapshot of each worker in memory
+ *
+ * Other storage backends (e.g. Redis) can be used by implementing the same async methods
+ */
+class MemoryOpsStore {
+
+    /**
+     * Constructor
+     */
+    constructor() {
+        this._snapshots = {};
+    }
+
+    /**
+     * Saves the latest snapshot for a worker, replacing the previous one
+     * @param {string} type – Broker worker type
+     * @param {string} workerId – Worker id
+     * @param {{data: *, time: number}} snapshot – Ops snapshot
+     * @return {Promise}
+     */
+    async set(type, workerId, snapshot) {
+        if (!this._snapshots[type]) {
+            this._snapshots[type] = {};
+        }
+        this._snapshots[type][workerId] = snapshot;
+    }
+
+    /**
+     * Removes the snapshot of a worker
+     * @param {string} type – Broker worker type
+     * @param {string} workerId – Worker id
+     * @return {Promise}
+     */
+    async remove(type, workerId) {
+        if (this._snapshots[type]) {
+            delete this._snapshots[type][workerId];
+        }
+    }
+
+    /**
+     * Gets the snapshots of all workers of the given type
+     * @param {string} type – Broker worker type
+     * @return {Promise<Array<{workerId: string, data: *, time: number}>>}
+     */
+    async list(type) {
+        const snapshots = this._snapshots[type] || {};
+        return Object.keys(snapshots).map((workerId) => Object.assign({ workerId }, snapshots[workerId]));
+    }
+}
+
+module.exports = MemoryOpsStore;
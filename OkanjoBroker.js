@@ -1,7 +1,28 @@
 "use strict";
 
-const Cluster = require('cluster');
 const EventEmitter = require('events').EventEmitter;
+const { serializeError, deserializeError } = require('./IpcUtil');
+const MemoryOpsStore = require('./MemoryOpsStore');
+const FileWatcher = require('./FileWatcher');
+const ClusterBackend = require('./ClusterBackend');
+const ThreadBackend = require('./ThreadBackend');
+const ProcessBackend = require('./ProcessBackend');
+
+/**
+ * Built-in worker backends, keyed by mode
+ * @type {*}
+ */
+const BACKENDS = {
+    cluster: ClusterBackend,
+    process: ProcessBackend,
+    thread: ThreadBackend
+};
+
+/**
+ * How long to wait before trying again when a worker couldn't be spawned and there's no respawn backoff, in milliseconds
+ * @type {number}
+ */
+const SPAWN_RETRY_DELAY = 1000;
 
 /**
  * Class to manage workers of the given type
@@ -12,7 +33,7 @@ class OkanjoBroker extends EventEmitter {
      * Constructor
      * @param {OkanjoApp} app – Current application context
      * @param {string} type - Worker type
-     * @param {{workerCount:number, recycleRate: number}} options – OkanjoBroker options
+     * @param {*} [options] – OkanjoBroker options (e.g. workerCount, recycleRate, etc – see README)
      */
     constructor(app, type, options) {
         super();
@@ -31,14 +52,159 @@ class OkanjoBroker extends EventEmitter {
         // State flag to determine whether to start workers or let them fall off
         this.drainOpen = false;
 
+        // State flag set when workers died too often, which stops them from being respawned
+        this.failed = false;
+
+        // State flag set once the broker has been torn down for good
+        this.destroyed = false;
+
+        // State flag set once the workforce has been started
+        this.started = false;
+
+        // State flag set once every worker of a one-shot broker finished successfully
+        this.completed = false;
+
         this.type = type;
         this.workerCount = options.workerCount === undefined ? 1 : options.workerCount;
+        this.oneShot = options.oneShot !== undefined ? options.oneShot : false;
+        this.mode = options.mode || 'cluster';
+        this.exec = options.exec || null;
+        this.args = options.args || null;
+        this.execArgv = options.execArgv || null;
+        this.env = options.env || {};
+        this.envFactory = options.envFactory || null;
         this.recycleRate = options.recycleRate || 0;
+        this.rollingRecycle = options.rollingRecycle !== undefined ? options.rollingRecycle : false;
+        this.rollingBatchSize = options.rollingBatchSize || 1;
+        this.maxAge = options.maxAge || 0;
+        this.maxAgeJitter = options.maxAgeJitter !== undefined ? options.maxAgeJitter : 0.1;
+        this.maxJobs = options.maxJobs || 0;
+        this.waitForReady = options.waitForReady !== undefined ? options.waitForReady : false;
+        this.readyTimeout = options.readyTimeout || 0;
+        this.respawnBackoff = options.respawnBackoff ? Object.assign({
+            delay: 1000,
+            maxDelay: 30000,
+            factor: 2,
+            jitter: 0.2,
+            stablePeriod: 10000
+        }, options.respawnBackoff) : null;
+        this.restartIntensity = options.restartIntensity ? Object.assign({
+            maxRestarts: 5,
+            period: 60000
+        }, options.restartIntensity) : null;
+        this.autoscale = options.autoscale ? Object.assign({
+            min: 1,
+            max: this.workerCount,
+            step: 1,
+            scaleUpCooldown: 30000,
+            scaleDownCooldown: 60000
+        }, options.autoscale) : null;
+        this.memoryLimit = options.memoryLimit ? Object.assign({
+            cooldown: 30000,
+            maxConcurrent: 1
+        }, options.memoryLimit) : null;
+        this.watch = options.watch ? Object.assign({
+            ignore: ['**/node_modules/**', '**/.git/**'],
+            debounce: 300,
+            rolling: true,
+            maxCrashes: 3,
+            stablePeriod: 10000
+        }, options.watch) : null;
+        this.shutdown = Object.assign({
+            gracePeriod: 2000,
+            killTimeout: 1000
+        }, options.shutdown);
+        this.requestTimeout = options.requestTimeout || 10000;
+        this.heartbeatInterval = options.heartbeatInterval || 0;
+        this.heartbeatMisses = options.heartbeatMisses || 3;
+        this.opsStore = options.opsStore || new MemoryOpsStore();
         this.debug = options.debug !== undefined ? options.debug : false;
 
         this._workerIds = {};
 
-        this._init();
+        // Initialize the container to hold onto worker id numbers
+        this._workerIds[this.type] = [];
+
+        // How many workers of a one-shot broker finished successfully
+        this._completedWorkers = 0;
+
+        // Per-worker bookkeeping, keyed by worker id
+        this._workerState = {};
+
+        // Crash-loop tracking for respawn backoff
+        this._respawnAttempts = 0;
+        this._respawnTimers = new Set();
+
+        // Recycle started by the recycler that hasn't finished yet
+        this._scheduledRecycle = null;
+
+        // Recent abnormal exits, for the restart intensity circuit breaker
+        this._deathHistory = [];
+
+        // Workers that crashed soon after starting, for pausing respawns while watched code is broken
+        this._crashLoop = [];
+
+        // When the autoscaler last changed the worker count
+        this._lastScaledAt = 0;
+
+        // When a worker was last recycled for using too much memory
+        this._lastMemoryRecycleAt = 0;
+
+        // Requests sent to workers that are waiting on a response, keyed by request id
+        this._requestSeq = 0;
+        this._pendingRequests = new Map();
+
+        // Request handlers workers can call, keyed by method name
+        this._handlers = {};
+
+        // Verify the autoscaler can do its job, and start within its bounds
+        if (this.autoscale) {
+            if (typeof this.autoscale.metric !== "function") {
+                throw new Error(`Autoscale requires a metric function to extract a value from ops messages. Got: ${typeof this.autoscale.metric}`);
+            }
+            if (this.autoscale.min > this.autoscale.max) {
+                throw new Error(`Autoscale min (${this.autoscale.min}) cannot be greater than max (${this.autoscale.max})`);
+            }
+            this.workerCount = Math.min(this.autoscale.max, Math.max(this.autoscale.min, this.workerCount));
+        }
+
+        // Verify there's a way to start workers
+        if (options.backend) {
+            if (typeof options.backend.fork !== "function") {
+                throw new Error(`Worker backend must have a fork function. Got: ${typeof options.backend.fork}`);
+            }
+            this.backend = options.backend;
+        } else if (BACKENDS[this.mode]) {
+            this.backend = new BACKENDS[this.mode]();
+        } else {
+            throw new Error(`Unknown worker mode ${this.mode}, expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+        }
+
+        // Verify the env factory can be called on each spawn
+        if (this.envFactory && typeof this.envFactory !== "function") {
+            throw new Error(`Env factory must be a function that returns worker env vars. Got: ${typeof this.envFactory}`);
+        }
+
+        // Verify there's something to hold the workers' memory usage to
+        if (this.memoryLimit && !(this.memoryLimit.rss > 0) && !(this.memoryLimit.heapUsed > 0)) {
+            throw new Error(`Memory limit requires an rss or heapUsed limit, in bytes. Got: ${JSON.stringify(options.memoryLimit)}`);
+        }
+
+        // Reload the workers when their code changes
+        this._watcher = null;
+        if (this.watch) {
+            if ([].concat(this.watch.paths || []).length === 0) {
+                throw new Error(`Watch requires paths or globs to watch. Got: ${JSON.stringify(options.watch)}`);
+            }
+            this._watcher = new FileWatcher(this.watch);
+            this._watcher.on('change', (files) => this._reloadWorkers(files));
+            this._watcher.on('error', (err) => this.app.report(this.type + ': file watcher error', err));
+        }
+
+        // Start the workforce, unless the caller wants to do it later (e.g. after something else is up)
+        if (options.autoStart === undefined || options.autoStart) {
+            this._init();
+        }
     }
 
     /**
@@ -54,9 +220,12 @@ class OkanjoBroker extends EventEmitter {
      * Initializes and starts the broker
      */
     _init() {
+        // Watch for code changes first, so a bad watch config throws before there are workers to clean up
+        if (this._watcher) {
+            this._watcher.start();
+        }
 
-        // Initialize the container to hold onto worker id numbers
-        this._workerIds[this.type] = [];
+        this.started = true;
 
         // Notify this broker is starting up
         this._log(this.type + ': broker started');
@@ -68,6 +237,9 @@ class OkanjoBroker extends EventEmitter {
 
         // Activate recycling program to keep things tidy (e.g. whack memory, etc)
         this._startRecycler();
+
+        // Watch for workers that stopped responding
+        this._startHeartbeatMonitor();
     }
 
     /**
@@ -75,8 +247,20 @@ class OkanjoBroker extends EventEmitter {
      * @private
      */
     _startRecycler() {
+        this._stopRecycler();
         if (this.recycleRate && this.recycleRate > 0) {
-            this._recyclerInterval = setInterval(() => this.recycleWorkers(), this.recycleRate);
+            this._recyclerInterval = setInterval(() => {
+                // A rolling recycle can outlast the interval, and starting another would bounce the replacements it just brought up
+                if (this._scheduledRecycle) {
+                    this._log(this.type + ': previous recycle still running, skipping this one');
+                    return;
+                }
+
+                // Draining cuts the recycle short on purpose, so that's not worth reporting
+                this._scheduledRecycle = this.recycleWorkers()
+                    .catch((err) => { if (!this.drainOpen) this.app.report(this.type + ': scheduled recycle failed', err); })
+                    .then(() => { this._scheduledRecycle = null; });
+            }, this.recycleRate);
         }
     }
 
@@ -88,37 +272,192 @@ class OkanjoBroker extends EventEmitter {
         clearInterval(this._recyclerInterval);
     }
 
+    /**
+     * Starts checking that workers are still sending heartbeats
+     * @private
+     */
+    _startHeartbeatMonitor() {
+        this._stopHeartbeatMonitor();
+        if (this.heartbeatInterval > 0) {
+            this._heartbeatMonitorInterval = setInterval(() => this._checkHeartbeats(), this.heartbeatInterval);
+        }
+    }
+
+    /**
+     * Stops checking worker heartbeats
+     * @private
+     */
+    _stopHeartbeatMonitor() {
+        clearInterval(this._heartbeatMonitorInterval);
+    }
+
+    /**
+     * Kills and replaces workers that missed too many heartbeats, e.g. because their event loop is stuck
+     * @private
+     */
+    _checkHeartbeats() {
+        const now = Date.now();
+        const limit = this.heartbeatInterval * this.heartbeatMisses;
+
+        this._workerIds[this.type].forEach((id) => {
+            const state = this._workerState[id];
+            const worker = this._getWorker(id);
+
+            // Only watch workers that have started sending heartbeats, and aren't already on the way out
+            if (!state || !worker || !state.lastHeartbeat || state.retiring || state.stopping || state.unresponsive || this.drainOpen) return;
+
+            const silence = now - state.lastHeartbeat;
+            if (silence > limit) {
+                state.unresponsive = true;
+                const missed = Math.floor(silence / this.heartbeatInterval);
+
+                this.app.report(new Error(this.type + ' worker id=' + id + ' is unresponsive, missed ' + missed + ' heartbeats'), { broker: this.type, worker_id: id, last_heartbeat: state.lastHeartbeat });
+                this.emit('worker_unresponsive', { id, worker, lastHeartbeat: state.lastHeartbeat, missed });
+
+                // A stuck event loop won't handle a graceful shutdown, so don't bother asking
+                worker.process.kill('SIGKILL');
+            }
+        });
+    }
+
     /**
      * Spawns a new worker instance
+     * @return {Worker|null} – The new worker, or null if it couldn't be spawned
      */
     _spawnWorker() {
-        const worker = Cluster.fork({worker_type: this.type, env: this.app.currentEnvironment});
+        let worker;
+        try {
+            // Workers rely on the broker's own vars, so those can't be overridden
+            const env = Object.assign({}, this.env, this.envFactory ? this.envFactory(this) : null, {worker_type: this.type, worker_mode: this.mode, env: this.app.currentEnvironment});
+            if (this.heartbeatInterval > 0) {
+                env.heartbeat_interval = this.heartbeatInterval;
+            }
+            if (this.maxJobs > 0) {
+                env.max_jobs = this.maxJobs;
+            }
+            worker = this._fork(env);
+        } catch (err) {
+            // This also runs from exit handlers and respawn timers, so don't let it take down the master
+            this._spawnFailed(err);
+            return null;
+        }
 
         this._workerIds[this.type].push(worker.id+"");
+        const state = this._workerState[worker.id] = {
+            online: false,
+            ready: false,
+            retiring: false,
+            startedAt: Date.now(),
+            worker,
+            listeners: []
+        };
+
+        // Keep track of what we bind, so it can be unbound if the broker is destroyed
+        const listen = (event, listener) => {
+            worker.on(event, listener);
+            state.listeners.push({ event, listener });
+        };
 
         this._log(this.type+': started worker id='+worker.id);
 
+        // Kill the worker if it doesn't report in as ready in time
+        if (this.readyTimeout > 0) {
+            state.readyTimer = setTimeout(() => {
+                state.readyTimer = null;
+                if (!state.ready && !state.retiring && !this.drainOpen && !worker.isDead()) {
+                    this.app.report(new Error(this.type + ' worker id=' + worker.id + ' did not become ready within ' + this.readyTimeout + 'ms'), { broker: this.type, worker_id: worker.id + "" });
+
+                    // Kill the process directly, since worker.kill() disconnects first on some node versions, which would make this look like an intentional exit
+                    worker.process.kill('SIGKILL');
+                }
+            }, this.readyTimeout);
+        }
+
+        // Recycle the worker once it gets old, give or take some jitter so the workforce doesn't all go at once
+        if (this.maxAge > 0) {
+            const lifetime = Math.round(this.maxAge * (1 + this.maxAgeJitter * (Math.random() * 2 - 1)));
+            state.maxAgeTimer = setTimeout(() => {
+                state.maxAgeTimer = null;
+                this._recycleWorker(worker.id + "", { reason: 'max_age', value: Date.now() - state.startedAt, limit: lifetime });
+            }, lifetime);
+        }
+
+        // Once a worker stays up long enough, the watched code works, so earlier startup crashes no longer count
+        if (this.watch) {
+            state.stableTimer = setTimeout(() => {
+                state.stableTimer = null;
+                this._crashLoop = [];
+            }, this.watch.stablePeriod);
+        }
+
+        // noinspection JSUnusedGlobalSymbols
+        listen('online', () => {
+            state.online = true;
+            this.emit('worker_online', { id: worker.id + "", worker });
+        });
+
         // noinspection JSUnusedGlobalSymbols
-        worker.on('exit', (code, signal) => {
+        listen('exit', (code, signal) => {
 
             // Is this our worker?
             const id = worker.id + "";
 
             // Remove the reference to the worker id
             this._workerIds[this.type].splice(this._workerIds[this.type].indexOf(id), 1);
+            clearTimeout(state.readyTimer);
+            clearTimeout(state.maxAgeTimer);
+            clearTimeout(state.stableTimer);
+            clearTimeout(worker._disconnectTimer);
+            clearTimeout(worker._killTimer);
+            delete this._workerState[id];
+
+            // Nobody is going to answer requests sent to this worker
+            this._rejectRequests(id);
+
+            // Dead workers don't count towards the ops summary
+            this._removeOps(id);
+
+            // One-shot workers are done once they exit cleanly on their own
+            const finished = this.oneShot && worker.exitedAfterDisconnect !== true && code === 0;
 
             if (!this.app.gracefulShutdown && !this.drainOpen) {
 
-                if (worker.exitedAfterDisconnect === true) {
+                if (worker.exitedAfterDisconnect === true || finished) {
                     // Death was intentional, so don't spawn again
                     this.emit('worker_ended', { id, code, signal, worker });
+                } else if (state.startupError) {
+                    // Respawning a worker that can't start (e.g. unknown worker type) won't help, and the failure report covers it
+                    this.emit('worker_death', { id, code, signal, worker });
+                    if (!this.failed) {
+                        this._fail('worker id=' + id + ' failed to start: ' + state.startupError.message, [{ time: Date.now(), id, code, signal, error: state.startupError }]);
+                    }
                 } else {
-                    this.app.report(new Error(this.type + ' worker id='+ worker.id +' died!'), { broker: this.type, worker_id: id, code: code, signal: signal });
+                    // Once failed, the failure report covers it, so don't report every death
+                    const tripped = this._trackDeath({ id, code, signal });
+                    const looping = !tripped && this._trackCrashLoop({ id, code, signal, uptime: Date.now() - state.startedAt });
+                    if (!this.failed && !tripped && !looping) {
+                        this.app.report(new Error(this.type + ' worker id='+ worker.id +' died!'), { broker: this.type, worker_id: id, code: code, signal: signal });
+                    }
                     this.emit('worker_death', { id, code, signal, worker });
+                    if (tripped) {
+                        this._fail(this._deathHistory.length + ' workers died within ' + this.restartIntensity.period + 'ms', this._deathHistory);
+                    } else if (looping) {
+                        this._fail(this._crashLoop.length + ' workers crashed on startup, waiting for watched files to change', this._crashLoop);
+                    }
                 }
 
-                // Replace this worker in the workforce
-                this._spawnWorker();
+                // Replace this worker in the workforce, unless it was retired in favor of an already running replacement
+                if (state.retiring) {
+                    this._log(this.type + ': worker id=' + id + ' was retired, will not respawn');
+                } else if (this.failed) {
+                    this._log(this.type + ': broker failed, will not respawn worker id=' + id);
+                } else if (finished) {
+                    this._completeWorker(id);
+                } else if (worker.exitedAfterDisconnect === true) {
+                    this._spawnWorker();
+                } else {
+                    this._scheduleRespawn({ id, code, signal, uptime: Date.now() - state.startedAt });
+                }
 
             } else {
                 this.emit('worker_ended', { id, code, signal, worker });
@@ -129,19 +468,20 @@ class OkanjoBroker extends EventEmitter {
 
         // noinspection JSUnusedGlobalSymbols
         /* istanbul ignore next */
-        worker.on('error', (err) => {
+        listen('error', (err) => {
             this.app.report(this.type + ': Worker error!', err);
         });
 
         // noinspection JSUnusedGlobalSymbols
-        worker.on('disconnect', () => {
+        listen('disconnect', () => {
             if (worker._disconnectTimer) {
-                this._log(this.type + ': cleared worker id='+worker.id+' disconnect timeout');
-                clearTimeout(worker._disconnectTimer);
-            } else {
-                this._log(this.type + ': Worker id=' + worker.id+' disconnected - No timeout to clear. Did it crash?');
+                // Bounced, so let it finish up - the shutdown policy will escalate if it doesn't exit in time
+                this._log(this.type + ': worker id='+worker.id+' disconnected, waiting for it to exit');
+                return;
             }
 
+            this._log(this.type + ': Worker id=' + worker.id+' disconnected - No timeout to clear. Did it crash?');
+
             // noinspection JSUnusedGlobalSymbols
             setTimeout(() => {
                 if (!worker.isDead()) {
@@ -149,46 +489,629 @@ class OkanjoBroker extends EventEmitter {
                     worker.kill();
                     this._log(this.type + ': followup on worker id='+worker.id+': was still alive so we killed it');
                 }
-            }, 1000);
+            }, this.shutdown.killTimeout);
 
         });
 
         // noinspection JSUnusedGlobalSymbols
-        worker.on('message', (msg) => {
+        listen('message', (msg) => {
             if (typeof msg === "object" && msg.type === "ops") {
-                // TODO – Handle worker metrics by sending to Redis for aggregation (worker.id, msg.data)
+                this._storeOps(worker, msg);
                 this.emit('worker_ops', msg, worker);
+                if (this.autoscale) {
+                    this._autoscale(msg, worker);
+                }
+                if (this.memoryLimit && msg.data) {
+                    this._checkMemory(worker, msg.data.memory);
+                }
+            } else if (typeof msg === "object" && msg.type === "heartbeat") {
+                // Worker is still responsive
+                state.lastHeartbeat = Date.now();
+                if (this.memoryLimit) {
+                    this._checkMemory(worker, msg.memory);
+                }
+            } else if (typeof msg === "object" && msg.type === "job_count") {
+                // Worker finished some work
+                state.jobCount = msg.count;
+                if (this.maxJobs > 0 && msg.count >= this.maxJobs) {
+                    this._recycleWorker(worker.id + "", { reason: 'max_jobs', value: msg.count, limit: this.maxJobs });
+                }
+            } else if (typeof msg === "object" && msg.type === "startup_failed") {
+                // Worker couldn't start, and is about to exit
+                state.startupError = deserializeError(msg.error);
+                this._log(this.type + ': worker id=' + worker.id + ' failed to start: ' + state.startupError.message);
+                this.emit('worker_startup_failed', { id: worker.id + "", worker, error: state.startupError });
+            } else if (typeof msg === "object" && msg.type === "ready") {
+                // Worker finished initializing
+                this._markReady(worker);
+            } else if (typeof msg === "object" && msg.type === "rpc_response") {
+                // Worker answered a request
+                this._resolveRequest(msg, worker);
+            } else if (typeof msg === "object" && msg.type === "rpc_request") {
+                // Worker is asking us for something
+                this._handleRequest(msg, worker);
             } else {
                 // If anyone cares, pass the event on to the broker's handlers
                 this.emit('worker_message', msg, worker);
             }
         });
+
+        return worker;
+    }
+
+    /**
+     * Starts a worker with the broker's backend, using the broker's entry script and node flags if it has its own
+     * @param {*} env – Worker env vars
+     * @return {Worker} – Cluster worker, or the backend's equivalent
+     * @private
+     */
+    _fork(env) {
+        return this.backend.fork({ env, exec: this.exec, args: this.args, execArgv: this.execArgv });
+    }
+
+    /**
+     * Gets one of this broker's workers, unless it's on its way out (like cluster.workers, which drops workers once they're told to disconnect)
+     * @param {string} id – Worker id
+     * @return {Worker|null} – Cluster worker, or the backend's equivalent
+     * @private
+     */
+    _getWorker(id) {
+        const state = this._workerState[id];
+        return state && !state.stopping && state.worker.isConnected() ? state.worker : null;
+    }
+
+    /**
+     * Counts a one-shot worker that finished, and completes the broker once they all have
+     * @param {string} id – Worker id
+     * @private
+     */
+    _completeWorker(id) {
+        this._completedWorkers++;
+        this._log(this.type + ': worker id=' + id + ' completed, will not respawn');
+
+        if (!this.completed && this._completedWorkers >= this.workerCount && this._workerIds[this.type].length === 0) {
+            this.completed = true;
+            this._stopRecycler();
+            this._stopHeartbeatMonitor();
+
+            this._log(this.type + ': all workers completed');
+            this.emit('broker_completed', { type: this.type, workers: this._completedWorkers });
+        }
+    }
+
+    /**
+     * Replaces a crashed worker, backing off exponentially if workers keep crashing
+     * @param {{id: string, code: number, signal: string, uptime: number}} death – The crashed worker's details
+     * @private
+     */
+    _scheduleRespawn(death) {
+        const backoff = this.respawnBackoff;
+        if (!backoff) {
+            this._spawnWorker();
+            return;
+        }
+
+        // If the worker stuck around long enough, then it was not part of a crash loop
+        if (death.uptime >= backoff.stablePeriod) {
+            this._respawnAttempts = 0;
+        }
+
+        const baseDelay = Math.min(backoff.maxDelay, backoff.delay * Math.pow(backoff.factor, this._respawnAttempts));
+        const delay = Math.max(0, Math.round(baseDelay * (1 + backoff.jitter * (Math.random() * 2 - 1))));
+        this._respawnAttempts++;
+
+        this._respawnAfter(delay);
+
+        this._log(this.type + ': respawning worker in ' + delay + 'ms (attempt ' + this._respawnAttempts + ')');
+        this.emit('worker_respawn_scheduled', { id: death.id, code: death.code, signal: death.signal, delay, attempt: this._respawnAttempts });
+    }
+
+    /**
+     * Spawns a worker after a delay, unless the broker is stopping by then
+     * @param {number} delay – How long to wait, in milliseconds
+     * @private
+     */
+    _respawnAfter(delay) {
+        const timer = setTimeout(() => {
+            this._respawnTimers.delete(timer);
+            if (!this.app.gracefulShutdown && !this.drainOpen && !this.failed) {
+                this._spawnWorker();
+            }
+        }, delay);
+        this._respawnTimers.add(timer);
+    }
+
+    /**
+     * Handles a worker that couldn't be spawned (e.g. the env factory threw) like a worker that died on startup
+     * @param {Error} error – Why it couldn't be spawned
+     * @private
+     */
+    _spawnFailed(error) {
+        const death = { id: null, code: null, signal: null, uptime: 0, error };
+        const tripped = this._trackDeath(death);
+        if (!this.failed && !tripped) {
+            this.app.report(this.type + ' broker could not spawn a worker', error, { broker: this.type });
+        }
+
+        if (tripped) {
+            this._fail(this._deathHistory.length + ' workers died within ' + this.restartIntensity.period + 'ms', this._deathHistory);
+        } else if (this.respawnBackoff) {
+            this._scheduleRespawn(death);
+        } else {
+            // Trying again right away would most likely fail the same way, over and over
+            this._respawnAfter(SPAWN_RETRY_DELAY);
+            this._log(this.type + ': could not spawn worker, trying again in ' + SPAWN_RETRY_DELAY + 'ms');
+        }
+    }
+
+    /**
+     * Cancels any respawns that are waiting out their backoff
+     * @private
+     */
+    _cancelRespawns() {
+        this._respawnTimers.forEach((timer) => clearTimeout(timer));
+        this._respawnTimers.clear();
+    }
+
+    /**
+     * Settles a pending request with the worker's response
+     * @param {{id: number, result: *, error: *}} msg – Response message
+     * @param worker – Cluster worker that responded
+     * @private
+     */
+    _resolveRequest(msg, worker) {
+        const request = this._pendingRequests.get(msg.id);
+        if (!request || request.workerId !== worker.id + "") {
+            this._log(this.type + ': got response to unknown request id=' + msg.id + ' from worker id=' + worker.id);
+            return;
+        }
+
+        this._pendingRequests.delete(msg.id);
+        clearTimeout(request.timer);
+
+        if (msg.error) {
+            const err = deserializeError(msg.error);
+            err.workerId = request.workerId;
+            request.reject(err);
+        } else {
+            request.resolve(msg.result);
+        }
+    }
+
+    /**
+     * Runs the handler for a request from a worker and sends back the result
+     * @param {{id: number, method: string, args: *}} msg – Request message
+     * @param worker – Cluster worker that asked
+     * @return {Promise}
+     * @private
+     */
+    async _handleRequest(msg, worker) {
+        let response;
+        try {
+            const handler = this._handlers[msg.method];
+            if (!handler) {
+                throw new Error(`No handler registered for ${msg.method} on the ${this.type} broker`);
+            }
+            const result = await handler.call(this, msg.args, worker);
+            response = { type: 'rpc_response', id: msg.id, result };
+        } catch (err) {
+            response = { type: 'rpc_response', id: msg.id, error: serializeError(err) };
+        }
+
+        if (worker.isConnected()) {
+            worker.send(response);
+        } else {
+            this._log(this.type + ': worker id=' + worker.id + ' left before we could respond to ' + msg.method);
+        }
+    }
+
+    /**
+     * Rejects all pending requests to the given worker
+     * @param {string} id – Worker id
+     * @private
+     */
+    _rejectRequests(id) {
+        this._pendingRequests.forEach((request, requestId) => {
+            if (request.workerId === id) {
+                this._pendingRequests.delete(requestId);
+                clearTimeout(request.timer);
+                const err = new Error(`${this.type} worker id=${id} exited before responding to ${request.method}`);
+                err.workerId = id;
+                request.reject(err);
+            }
+        });
+    }
+
+    /**
+     * Rejects every request waiting on a worker, since the broker is going away
+     * @private
+     */
+    _rejectAllRequests() {
+        this._pendingRequests.forEach((request, requestId) => {
+            this._pendingRequests.delete(requestId);
+            clearTimeout(request.timer);
+            const err = new Error(`${this.type} broker was destroyed before worker id=${request.workerId} responded to ${request.method}`);
+            err.workerId = request.workerId;
+            request.reject(err);
+        });
+    }
+
+    /**
+     * Throws if the broker has been destroyed
+     * @private
+     */
+    _assertNotDestroyed() {
+        if (this.destroyed) {
+            throw this._destroyedError();
+        }
+    }
+
+    /**
+     * Makes the error for using a destroyed broker, which methods that return promises reject with instead of throwing
+     * @return {Error}
+     * @private
+     */
+    _destroyedError() {
+        return new Error(`${this.type} broker has been destroyed`);
+    }
+
+    /**
+     * Saves a worker's latest ops snapshot for aggregation
+     * @param worker – Cluster worker that sent the ops message
+     * @param {{data: *}} msg – Ops message
+     * @return {Promise}
+     * @private
+     */
+    async _storeOps(worker, msg) {
+        try {
+            await this.opsStore.set(this.type, worker.id + "", { data: msg.data, time: Date.now() });
+        } catch (err) {
+            this.app.report(this.type + ': Failed to store worker ops!', err, { broker: this.type, worker_id: worker.id + "" });
+        }
+    }
+
+    /**
+     * Removes a worker's ops snapshot
+     * @param {string} id – Worker id
+     * @return {Promise}
+     * @private
+     */
+    async _removeOps(id) {
+        try {
+            await this.opsStore.remove(this.type, id);
+        } catch (err) {
+            this.app.report(this.type + ': Failed to remove worker ops!', err, { broker: this.type, worker_id: id });
+        }
+    }
+
+    /**
+     * Tracks the autoscale metric from a worker's ops message and grows or shrinks the workforce if it crossed a threshold
+     * @param {*} msg – Ops message
+     * @param worker – Cluster worker that sent it
+     * @private
+     */
+    _autoscale(msg, worker) {
+        const autoscale = this.autoscale;
+        const state = this._workerState[worker.id];
+        if (!state) return;
+
+        let value;
+        try {
+            value = autoscale.metric(msg, worker);
+        } catch (err) {
+            this.app.report(this.type + ': Autoscale metric failed!', err, { broker: this.type, worker_id: worker.id + "" });
+            return;
+        }
+        if (typeof value !== "number" || !isFinite(value)) return;
+        state.metric = value;
+
+        if (this.drainOpen || this.failed) return;
+
+        // Go by the average of the latest metric from each worker that's sticking around
+        const values = this._workerIds[this.type]
+            .map((id) => this._workerState[id])
+            .filter((workerState) => workerState && !workerState.retiring && typeof workerState.metric === "number")
+            .map((workerState) => workerState.metric);
+        const average = values.reduce((sum, metric) => sum + metric, 0) / values.length;
+        const sinceLastScale = Date.now() - this._lastScaledAt;
+
+        let event, threshold, count;
+        if (average > autoscale.scaleUpThreshold && this.workerCount < autoscale.max && sinceLastScale >= autoscale.scaleUpCooldown) {
+            event = 'scaled_up';
+            threshold = autoscale.scaleUpThreshold;
+            count = Math.min(autoscale.max, this.workerCount + autoscale.step);
+        } else if (average < autoscale.scaleDownThreshold && this.workerCount > autoscale.min && sinceLastScale >= autoscale.scaleDownCooldown) {
+            event = 'scaled_down';
+            threshold = autoscale.scaleDownThreshold;
+            count = Math.max(autoscale.min, this.workerCount - autoscale.step);
+        } else {
+            return;
+        }
+
+        const from = this.workerCount;
+        const reason = `metric ${average} is ${event === 'scaled_up' ? 'above' : 'below'} threshold ${threshold}`;
+        this._lastScaledAt = Date.now();
+
+        this._log(this.type + ': autoscaling from ' + from + ' to ' + count + ' workers, ' + reason);
+        this.setWorkerCount(count).catch((err) => this._log(this.type + ': autoscale interrupted: ' + err.message));
+        this.emit(event, { type: this.type, from, to: count, value: average, threshold, reason });
+    }
+
+    /**
+     * Recycles a worker once its reported memory usage crosses the configured limit
+     * @param worker – Cluster worker that reported its memory usage
+     * @param {{rss: number, heapUsed: number}} memory – Reported memory usage, in bytes
+     * @private
+     */
+    _checkMemory(worker, memory) {
+        const id = worker.id + "";
+        const state = this._workerState[id];
+        const limits = this.memoryLimit;
+
+        // Workers on the way out will free their memory soon enough
+        if (!memory || !state || state.retiring || state.stopping || this.drainOpen || this.failed) return;
+
+        let breach = null;
+        if (limits.rss > 0 && memory.rss > limits.rss) {
+            breach = { reason: 'memory_rss', value: memory.rss, limit: limits.rss };
+        } else if (limits.heapUsed > 0 && memory.heapUsed > limits.heapUsed) {
+            breach = { reason: 'memory_heap', value: memory.heapUsed, limit: limits.heapUsed };
+        }
+        if (!breach) return;
+
+        // Don't churn through too many workers at once
+        const now = Date.now();
+        const recycling = this._workerIds[this.type].filter((workerId) => this._workerState[workerId] && this._workerState[workerId].recycling).length;
+        if (recycling >= limits.maxConcurrent || now - this._lastMemoryRecycleAt < limits.cooldown) {
+            this._log(this.type + ': worker id=' + id + ' is over its ' + breach.reason + ' limit, but recycling is on hold');
+            return;
+        }
+
+        this._lastMemoryRecycleAt = now;
+        this._recycleWorker(id, breach);
+    }
+
+    /**
+     * Gracefully replaces a single worker, bringing up its replacement before retiring it
+     * @param {string} id – Worker id
+     * @param {{reason: string, value: number, limit: number}} details – Why the worker is being recycled
+     * @return {Promise}
+     * @private
+     */
+    async _recycleWorker(id, details) {
+        const state = this._workerState[id];
+        if (!state || state.retiring || state.stopping || this.drainOpen || this.failed) return;
+
+        this._log(this.type + ': recycling worker id=' + id + ' (' + details.reason + ' ' + details.value + ' > ' + details.limit + ')');
+
+        // Retire it up front, so if it dies in the meantime, it won't get respawned on top of its replacement
+        state.retiring = true;
+        state.recycling = true;
+        this._spawnWorker();
+
+        // Hold on to the old worker until the replacement is up
+        await this._waitUntil(() => this.drainOpen || this.failed || !this._workerState[id] || this._activeWorkerCount() >= this.workerCount);
+
+        const worker = this._getWorker(id);
+        if (worker && !this.drainOpen) {
+            this._bounceWorker(id);
+            this.emit('worker_recycled', Object.assign({ id, worker }, details));
+        }
+    }
+
+    /**
+     * Records an abnormal exit and checks whether the restart intensity was exceeded
+     * @param {{id: string, code: number, signal: string}} death – The dead worker's details
+     * @return {boolean} – Whether the broker should fail
+     * @private
+     */
+    _trackDeath(death) {
+        const intensity = this.restartIntensity;
+        if (!intensity) return false;
+
+        const now = Date.now();
+        this._deathHistory.push(Object.assign({ time: now }, death));
+        this._deathHistory = this._deathHistory.filter((entry) => now - entry.time <= intensity.period);
+
+        return !this.failed && this._deathHistory.length > intensity.maxRestarts;
+    }
+
+    /**
+     * Records a watched worker that crashed soon after starting, and checks whether its code looks broken
+     * @param {{id: string, code: number, signal: string, uptime: number}} death – The dead worker's details
+     * @return {boolean} – Whether the broker should fail until the watched files change
+     * @private
+     */
+    _trackCrashLoop(death) {
+        const watch = this.watch;
+        if (!watch || this.failed) return false;
+
+        // If the worker stuck around long enough, then its code works
+        if (death.uptime >= watch.stablePeriod) {
+            this._crashLoop = [];
+            return false;
+        }
+
+        this._crashLoop.push(Object.assign({ time: Date.now() }, death));
+        return this._crashLoop.length >= watch.maxCrashes;
+    }
+
+    /**
+     * Puts the broker into the failed state, where workers are no longer respawned
+     * @param {string} reason – Why the broker failed
+     * @param {Array} history – The worker deaths that caused it
+     * @private
+     */
+    _fail(reason, history) {
+        history = history.slice();
+
+        this.failed = true;
+        this._stopRecycler();
+        this._cancelRespawns();
+
+        this._log(this.type + ': broker failed, ' + reason + ', will not respawn workers');
+        this.app.report(new Error(this.type + ' broker failed: ' + reason), { broker: this.type, history });
+        this.emit('broker_failed', { type: this.type, history });
+    }
+
+    /**
+     * Clears the failed state and crash history
+     * @private
+     */
+    _clearFailure() {
+        this.failed = false;
+        this._deathHistory = [];
+        this._crashLoop = [];
+        this._respawnAttempts = 0;
+    }
+
+    /**
+     * Flags a worker as ready to do work
+     * @param worker – Cluster worker
+     * @private
+     */
+    _markReady(worker) {
+        const state = this._workerState[worker.id];
+        if (state && !state.ready) {
+            state.ready = true;
+            clearTimeout(state.readyTimer);
+            state.readyTimer = null;
+
+            this._log(this.type + ': worker id=' + worker.id + ' is ready');
+            this.emit('worker_ready', { id: worker.id + "", worker });
+        }
+    }
+
+    /**
+     * Gets the number of workers that are up (online, or ready if waiting for ready) and not on their way out
+     * @param {boolean} [ready] – Whether to only count ready workers, even if the broker doesn't wait for ready
+     * @return {number}
+     * @private
+     */
+    _activeWorkerCount(ready) {
+        return this._workerIds[this.type].filter((id) => {
+            const state = this._workerState[id];
+            return state && state.online && (state.ready || !(this.waitForReady || ready)) && !state.retiring;
+        }).length;
+    }
+
+    /**
+     * Gets the ids of owned workers that aren't up yet (see `_activeWorkerCount`)
+     * @param {boolean} [ready] – Whether workers that aren't ready count as not up, even if the broker doesn't wait for ready
+     * @return {string[]}
+     * @private
+     */
+    _inactiveWorkerIds(ready) {
+        return this._workerIds[this.type].filter((id) => {
+            const state = this._workerState[id];
+            return state && !(state.online && (state.ready || !(this.waitForReady || ready)));
+        });
+    }
+
+    /**
+     * Describes the given workers that are still around, for error details
+     * @param {string[]} ids – Worker ids
+     * @return {{id: string, online: boolean, ready: boolean, retiring: boolean, stopping: boolean, uptime: number}[]}
+     * @private
+     */
+    _describeWorkers(ids) {
+        const now = Date.now();
+        return ids.filter((id) => this._workerState[id]).map((id) => {
+            const state = this._workerState[id];
+            return {
+                id,
+                online: state.online,
+                ready: state.ready,
+                retiring: state.retiring,
+                stopping: !!state.stopping,
+                uptime: now - state.startedAt
+            };
+        });
+    }
+
+    /**
+     * Waits until the given test passes, re-checking whenever a worker comes or goes
+     * @param {function():boolean} test – Condition to wait for
+     * @param {{timeout: number, action: string, pending: function():string[]}} [options] – When a timeout is given, rejects with the pending workers if the test hasn't passed in time
+     * @return {Promise}
+     * @private
+     */
+    _waitUntil(test, options) {
+        options = options || {};
+        const events = ['worker_online', 'worker_ready', 'worker_ended', 'worker_death', 'broker_failed', 'broker_completed'];
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            let timer = null;
+            const stop = () => {
+                settled = true;
+                clearTimeout(timer);
+                events.forEach((event) => this.removeListener(event, check));
+            };
+            const check = () => {
+                if (!settled && test()) {
+                    stop();
+                    resolve();
+                }
+            };
+            events.forEach((event) => this.on(event, check));
+            check();
+
+            if (!settled && options.timeout > 0) {
+                timer = setTimeout(() => {
+                    stop();
+                    const pending = this._describeWorkers(options.pending ? options.pending() : []);
+                    const err = new Error(`${this.type} broker timed out after ${options.timeout}ms waiting for ${options.action || 'workers'} (pending workers: ${pending.map((worker) => worker.id).join(', ') || 'none'})`);
+                    err.pending = pending;
+                    reject(err);
+                }, options.timeout);
+            }
+        });
     }
 
     /**
      * Attempts to gracefully kill a worker before hard killing it
      * @param id - Worker id
+     * @param {{gracePeriod: number, killTimeout: number}} [policy] – Overrides the broker's shutdown policy
      * @private
      */
-    _bounceWorker(id) {
+    _bounceWorker(id, policy) {
         try {
 
             // Tell the worker to seppuku
-            const worker = Cluster.workers[id];
-            const workerId = Cluster.workers[id].id;
+            const worker = this._getWorker(id);
+            const workerId = worker.id;
+
+            // It's on the way out, so it doesn't matter whether it ever got ready or keeps its heartbeat
+            const state = this._workerState[id];
+            if (state) {
+                state.stopping = true;
+                clearTimeout(state.readyTimer);
+                clearTimeout(state.maxAgeTimer);
+            }
+
+            policy = Object.assign({}, this.shutdown, policy);
+            this.emit('worker_stopping', { id: id + "", worker, gracePeriod: policy.gracePeriod, killTimeout: policy.killTimeout });
 
             worker.send('suicide');
 
-            // Give it 2 seconds to clean up before we pull life support
+            // Give it the grace period to clean up, then ask the OS to terminate it, then pull life support
             // noinspection JSUnusedGlobalSymbols
             worker._disconnectTimer = setTimeout(() => {
-                /* istanbul ignore else */
                 // Only kill it if it's still around - it might have cleared out by the time this gets called
-                if (worker) {
-                    this._log(this.type + ': Worker disconnect timeout expired, killing id=' + id);
-                    worker.kill();
+                if (!worker.isDead()) {
+                    this._log(this.type + ': Worker grace period expired, terminating id=' + id);
+                    worker.process.kill('SIGTERM');
+                    this.emit('worker_terminated', { id: id + "", worker });
+
+                    worker._killTimer = setTimeout(() => {
+                        if (!worker.isDead()) {
+                            this._log(this.type + ': Worker kill timeout expired, killing id=' + id);
+                            worker.process.kill('SIGKILL');
+                            this.emit('worker_killed', { id: id + "", worker });
+                        }
+                    }, policy.killTimeout);
                 }
-            }, 2000);
+            }, policy.gracePeriod);
 
             worker.disconnect();
 
@@ -201,41 +1124,539 @@ class OkanjoBroker extends EventEmitter {
     }
 
     /**
-     * Recycles all worker instances gracefully
+     * Replaces workers a batch at a time, bringing up each batch's replacements before retiring the old ones
+     * @param {number} batchSize – How many workers to replace at once
+     * @param {{gracePeriod: number, killTimeout: number}} [policy] – Overrides the broker's shutdown policy
+     * @param {number} [timeout] – How long the whole recycle can take, in milliseconds
+     * @param {string[]} [ids] – Which workers to replace, defaults to all of them
+     * @return {Promise}
+     * @private
      */
-    recycleWorkers() {
-        // Iterate over the cluster workers but only bounce the ones that belong to this broker
-        for (let id in Cluster.workers) {
-            if (Cluster.workers[id] && this._workerIds[this.type].indexOf(id) >= 0) {
+    async _rollingRecycle(batchSize, policy, timeout, ids) {
+        const pending = (ids || this._workerIds[this.type]).slice();
+        const deadline = timeout > 0 ? Date.now() + timeout : 0;
+        const remaining = () => deadline ? Math.max(1, deadline - Date.now()) : 0;
+
+        this._log(this.type + ': rolling recycle of ' + pending.length + ' workers, batch size ' + batchSize);
+
+        while (pending.length > 0 && !this.drainOpen && !this.failed) {
+            // Workers that are already stopping get replaced when they exit, so leave them be
+            const batch = pending.splice(0, batchSize).filter((id) => this._workerState[id] && !this._workerState[id].retiring && !this._workerState[id].stopping);
+
+            // Retire the batch up front, so if one dies in the meantime, it won't get respawned on top of its replacement
+            batch.forEach((id) => this._workerState[id].retiring = true);
+            batch.forEach(() => this._spawnWorker());
+
+            // Hold on to the old workers until the replacements are up
+            await this._waitUntil(() => this.drainOpen || this.failed || this._activeWorkerCount() >= this.workerCount, {
+                timeout: remaining(),
+                action: 'replacement workers to come up',
+                pending: () => this._inactiveWorkerIds()
+            });
+
+            batch.forEach((id) => {
+                if (this._getWorker(id)) this._bounceWorker(id, policy);
+            });
+
+            // Let the old workers clear out before starting on the next batch
+            await this._waitUntil(() => batch.every((id) => !this._workerState[id]), {
+                timeout: remaining(),
+                action: 'recycled workers to exit',
+                pending: () => batch
+            });
+        }
+
+        if (this.drainOpen || this.failed) {
+            throw new Error(`${this.type} broker stopped before workers were replaced`);
+        }
+
+        this._log(this.type + ': rolling recycle complete');
+    }
+
+    /**
+     * Replaces the workers after their code changed, and brings back workers that were crashing on the old code
+     * @param {string[]} files – Files that changed
+     * @private
+     */
+    _reloadWorkers(files) {
+        this._log(this.type + ': files changed: ' + files.join(', '));
+        this.emit('files_changed', { type: this.type, files });
+
+        if (this.destroyed || this.drainOpen || this.app.gracefulShutdown) return;
+
+        // Whatever is running now has the old code, except replacements that are already on their way in
+        const stale = this._workerIds[this.type].filter((id) => !this._workerState[id].retiring && !this._workerState[id].stopping);
+
+        // The change might be the fix, so fill the slots of the workers that were crashing
+        if (this.failed) {
+            this._log(this.type + ': broker failed, retrying with the changed files');
+            this._clearFailure();
+
+            const running = this._workerIds[this.type].filter((id) => !this._workerState[id].retiring).length + this._respawnTimers.size;
+            for (let i = running; i < this.workerCount; i++) {
+                this._spawnWorker();
+            }
+            this._startRecycler();
+        }
+
+        if (this.watch.rolling) {
+            this._rollingRecycle(this.rollingBatchSize, null, 0, stale)
+                .catch((err) => { if (!this.drainOpen) this.app.report(this.type + ': could not reload workers', err); });
+        } else {
+            stale.forEach((id) => this._bounceWorker(id));
+        }
+    }
+
+    /**
+     * Changes how many workers the broker maintains, spawning new workers or gracefully retiring surplus ones
+     * @param {number} count – The new number of workers
+     * @return {Promise} – Resolves once the workforce is at the new size
+     */
+    setWorkerCount(count) {
+        if (this.destroyed) {
+            return Promise.reject(this._destroyedError());
+        }
+        if (!Number.isInteger(count) || count < 0) {
+            return Promise.reject(new Error(`Worker count must be a non-negative integer. Got: ${count}`));
+        }
+
+        this._log(this.type + ': changing worker count from ' + this.workerCount + ' to ' + count);
+        this.workerCount = count;
+
+        // The new count will take effect when the broker is started or resumed
+        if (!this.started || this.drainOpen || this.failed) {
+            return Promise.resolve();
+        }
+
+        // Workers that are stopping (e.g. past their max age) still count, since they get replaced when they exit
+        const workerIds = this._workerIds[this.type].filter((id) => this._workerState[id] && !this._workerState[id].retiring);
+        const stopping = workerIds.filter((id) => this._workerState[id].stopping);
+        const running = workerIds.filter((id) => !this._workerState[id].stopping);
+        let surplus = workerIds.length + this._respawnTimers.size - count;
+
+        if (surplus < 0) {
+            // Scale up
+            for (; surplus < 0; surplus++) {
+                this._spawnWorker();
+            }
+        } else if (surplus > 0) {
+            // Scale down, starting with workers that haven't been respawned yet
+            for (const timer of this._respawnTimers) {
+                if (surplus === 0) break;
+                clearTimeout(timer);
+                this._respawnTimers.delete(timer);
+                surplus--;
+            }
+
+            // Then workers that are on their way out anyway, which just won't be replaced
+            for (const id of stopping) {
+                if (surplus === 0) break;
+                this._workerState[id].retiring = true;
+                surplus--;
+            }
+
+            // Then retire the newest workers, since they've had the least time to warm up
+            running.slice(running.length - surplus).forEach((id) => {
+                this._workerState[id].retiring = true;
                 this._bounceWorker(id);
+            });
+        }
+
+        return this._waitUntil(() => this.drainOpen || this.failed || (this._workerIds[this.type].length === this.workerCount && this._activeWorkerCount() === this.workerCount))
+            .then(() => {
+                if (this.drainOpen || this.failed) {
+                    throw new Error(`${this.type} broker stopped before reaching ${this.workerCount} workers`);
+                }
+            });
+    }
+
+    /**
+     * Asks a worker to run one of its handlers and waits for the result
+     * @param {string|number} workerId – Id of the worker to ask
+     * @param {string} method – Name of the handler registered on the worker
+     * @param {*} [args] – Argument to pass to the handler
+     * @param {{timeout: number}} [options] – Request options
+     * @return {Promise<*>} – Resolves with the handler's result
+     */
+    request(workerId, method, args, options) {
+        options = options || {};
+
+        if (this.destroyed) {
+            return Promise.reject(this._destroyedError());
+        }
+
+        const id = workerId + "";
+        const worker = this._getWorker(id);
+        if (!worker) {
+            const err = new Error(`${this.type} worker id=${id} is not available to handle ${method}`);
+            err.workerId = id;
+            return Promise.reject(err);
+        }
+
+        const timeout = options.timeout || this.requestTimeout;
+        const requestId = ++this._requestSeq;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this._pendingRequests.delete(requestId);
+                const err = new Error(`${this.type} worker id=${id} did not respond to ${method} within ${timeout}ms`);
+                err.workerId = id;
+                reject(err);
+            }, timeout);
+
+            this._pendingRequests.set(requestId, { workerId: id, method, resolve, reject, timer });
+
+            try {
+                worker.send({ type: 'rpc_request', id: requestId, method, args });
+            } catch (err) /* istanbul ignore next: out of scope - channel closed between the check and the send */ {
+                this._pendingRequests.delete(requestId);
+                clearTimeout(timer);
+                reject(err);
+            }
+        });
+    }
+
+    /**
+     * Registers a handler that workers can call with `worker.askBroker(method, args)`
+     * @param {string} method – Method name
+     * @param {function(*, *):*} handler – Function that receives the request args and the asking worker, and returns (or resolves) the result
+     * @return {OkanjoBroker}
+     */
+    handle(method, handler) {
+        this._assertNotDestroyed();
+        this._handlers[method] = handler;
+        return this;
+    }
+
+    /**
+     * Sends a message to every live worker of this broker
+     * @param {*} message – Message to send
+     * @return {string[]} – Ids of the workers the message was sent to
+     */
+    broadcast(message) {
+        const sent = [];
+        this._workerIds[this.type].forEach((id) => {
+            const worker = this._getWorker(id);
+            if (worker) {
+                try {
+                    worker.send(message);
+                    sent.push(id);
+                } catch (err) /* istanbul ignore next: out of scope - channel closed between the check and the send */ {
+                    this._log(this.type + ': could not broadcast to worker id=' + id + ': ' + err.message);
+                }
+            }
+        });
+        return sent;
+    }
+
+    /**
+     * Makes the same request to every worker of this broker and collects the outcomes
+     * @param {string} method – Name of the handler registered on the workers
+     * @param {*} [args] – Argument to pass to the handler
+     * @param {{timeout: number}} [options] – Request options
+     * @return {Promise<Object<string, {result: *}|{error: Error}>>} – Resolves with each worker's result or error, keyed by worker id
+     */
+    async gather(method, args, options) {
+        const results = {};
+        await Promise.all(this._workerIds[this.type].map((id) => {
+            return this.request(id, method, args, options).then(
+                (result) => { results[id] = { result }; },
+                (error) => { results[id] = { error }; }
+            );
+        }));
+        return results;
+    }
+
+    /**
+     * Rolls up the latest ops snapshot of each live worker
+     *
+     * Nested fields are flattened (e.g. `memory.rss` becomes `memory_rss`), and each numeric field is summarized
+     * @return {Promise<{type: string, workers: number, fields: Object<string, {sum: number, avg: number, max: number, count: number}>, byWorker: Object<string, *>}>}
+     */
+    async getOpsSummary() {
+        const snapshots = (await this.opsStore.list(this.type))
+            .filter((snapshot) => this._workerIds[this.type].indexOf(snapshot.workerId + "") >= 0);
+
+        const summary = { type: this.type, workers: snapshots.length, fields: {}, byWorker: {} };
+
+        snapshots.forEach((snapshot) => {
+            summary.byWorker[snapshot.workerId] = snapshot.data;
+
+            const flat = this.app.flattenData(snapshot.data);
+            Object.keys(flat).forEach((key) => {
+                const value = flat[key];
+                if (typeof value !== "number" || !isFinite(value)) return;
+
+                const field = summary.fields[key] = summary.fields[key] || { sum: 0, avg: 0, max: value, count: 0 };
+                field.sum += value;
+                field.max = Math.max(field.max, value);
+                field.count++;
+                field.avg = field.sum / field.count;
+            });
+        });
+
+        return summary;
+    }
+
+    /**
+     * Checks whether the given worker has reported that it's ready
+     * @param {string|number} id – Worker id
+     * @return {boolean}
+     */
+    isWorkerReady(id) {
+        const state = this._workerState[id];
+        return !!(state && state.ready);
+    }
+
+    /**
+     * Gets a snapshot of the broker's workforce
+     * @return {{type: string, workerCount: number, workers: number, active: number, ready: number, started: boolean, completed: boolean, draining: boolean, failed: boolean, destroyed: boolean}}
+     */
+    getStatus() {
+        const ids = this._workerIds[this.type];
+        return {
+            type: this.type,
+            workerCount: this.workerCount,
+            workers: ids.length,
+            active: this._activeWorkerCount(),
+            ready: ids.filter((id) => this.isWorkerReady(id)).length,
+            started: this.started,
+            completed: this.completed,
+            draining: this.drainOpen,
+            failed: this.failed,
+            destroyed: this.destroyed
+        };
+    }
+
+    /**
+     * Recycles all worker instances gracefully
+     * @param {{rolling: boolean, batchSize: number, shutdown: {gracePeriod: number, killTimeout: number}, timeout: number}} [options] – Recycle options, defaults to the broker's rolling and shutdown settings
+     * @return {Promise} – Resolves once every old worker has been replaced. Rejects if the broker is drained or fails first
+     */
+    recycleWorkers(options) {
+        if (this.destroyed) {
+            return Promise.reject(this._destroyedError());
+        }
+        options = options || {};
+
+        // Nothing to replace until the broker is started
+        if (!this.started) {
+            return Promise.resolve();
+        }
+
+        const rolling = options.rolling !== undefined ? options.rolling : this.rollingRecycle;
+        if (rolling && !this.drainOpen) {
+            return this._rollingRecycle(options.batchSize || this.rollingBatchSize, options.shutdown, options.timeout);
+        }
+
+        // Bounce the workers that aren't already on their way out
+        const bounced = [];
+        this._workerIds[this.type].slice().forEach((id) => {
+            if (this._getWorker(id)) {
+                this._bounceWorker(id, options.shutdown);
+                bounced.push(id);
             } else {
                 this._log(this.type + ': recycle worker with id='+ id +' not found');
             }
-        }
+        });
+
+        // The old workers get respawned as they exit, unless the broker is stopping
+        return this._waitUntil(() => bounced.every((id) => !this._workerState[id]) && (this.drainOpen || this.failed || this._activeWorkerCount() >= this.workerCount), {
+            timeout: options.timeout,
+            action: 'workers to be replaced',
+            pending: () => bounced.concat(this._inactiveWorkerIds())
+        }).then(() => {
+            if (this.drainOpen || this.failed) {
+                throw new Error(`${this.type} broker stopped before workers were replaced`);
+            }
+        });
     }
 
     /**
      * Prevents new workers from starting and kills off existing workers gracefully
+     * @param {{shutdown: {gracePeriod: number, killTimeout: number}, timeout: number}} [options] – Drain options, defaults to the broker's shutdown policy
+     * @return {Promise} – Resolves once every worker has exited
      */
-    drainWorkers() {
+    drainWorkers(options) {
+        if (this.destroyed) {
+            return Promise.reject(this._destroyedError());
+        }
+        options = options || {};
+
         this.drainOpen = true;
         this._stopRecycler();
-        this.recycleWorkers();
+        this._stopHeartbeatMonitor();
+        this._cancelRespawns();
+
+        // The workers won't be replaced, which is the point, so the recycle's rejection doesn't matter
+        this.recycleWorkers({ shutdown: options.shutdown }).catch(() => {});
+
+        return this._waitUntil(() => this._workerIds[this.type].length === 0, {
+            timeout: options.timeout,
+            action: 'workers to exit',
+            pending: () => this._workerIds[this.type]
+        });
     }
 
     /**
      * Allows new workers to start and refills the workforce if needed
+     * @param {{timeout: number}} [options] – Resume options
+     * @return {Promise} – Resolves once the workforce is back up (and ready, if waiting for ready)
      */
-    resumeWorkers() {
+    resumeWorkers(options) {
+        if (this.destroyed) {
+            return Promise.reject(this._destroyedError());
+        }
+        options = options || {};
+
         this.drainOpen = false;
+        this._clearFailure();
 
-        // Spawn workforce
-        for (let i = this._workerIds[this.type].length; i < this.workerCount; i++) {
-            this._spawnWorker();
+        // One-shot workers run again from the top
+        this.completed = false;
+        this._completedWorkers = 0;
+
+        if (!this.started) {
+            // A broker that was never started gets started properly, file watcher and all
+            try {
+                this._init();
+            } catch (err) {
+                return Promise.reject(err);
+            }
+        } else {
+            // Spawn workforce, counting the workers that are about to be respawned
+            for (let i = this._workerIds[this.type].length + this._respawnTimers.size; i < this.workerCount; i++) {
+                this._spawnWorker();
+            }
+
+            // Resume recycler
+            this._startRecycler();
+            this._startHeartbeatMonitor();
         }
 
-        // Resume recycler
-        this._startRecycler();
+        const resumed = this.waitForWorkers(options);
+
+        // Callers that don't care how it turns out shouldn't get an unhandled rejection
+        resumed.catch(() => {});
+        return resumed;
+    }
+
+    /**
+     * Starts the workforce of a broker that was made with `autoStart: false`
+     */
+    start() {
+        this._assertNotDestroyed();
+        if (!this.started) {
+            this._init();
+        }
+    }
+
+    /**
+     * Waits until the workforce is up (and ready, if waiting for ready)
+     * @param {{timeout: number, ready: boolean}} [options] – Wait options
+     * @return {Promise} – Rejects if the broker is drained or fails first
+     */
+    waitForWorkers(options) {
+        options = options || {};
+        return this._waitUntil(() => this.drainOpen || this.failed || this._activeWorkerCount(options.ready) >= this.workerCount, {
+            timeout: options.timeout,
+            action: 'workers to come up',
+            pending: () => this._inactiveWorkerIds(options.ready)
+        }).then(() => {
+            if (this.drainOpen || this.failed) {
+                throw new Error(`${this.type} broker stopped before reaching ${this.workerCount} workers`);
+            }
+        });
+    }
+
+    /**
+     * Waits until every worker of a one-shot broker finished successfully
+     * @param {{timeout: number}} [options] – Wait options
+     * @return {Promise} – Rejects if the broker is drained or fails first
+     */
+    waitForCompletion(options) {
+        options = options || {};
+        return this._waitUntil(() => this.completed || this.drainOpen || this.failed, {
+            timeout: options.timeout,
+            action: 'workers to complete',
+            pending: () => this._workerIds[this.type]
+        }).then(() => {
+            if (!this.completed) {
+                throw new Error(`${this.type} broker stopped before its workers completed`);
+            }
+        });
+    }
+
+    /**
+     * Clears the failed state and refills the workforce, unless the broker is being drained
+     * @return {Promise} – Resolves once the workforce is back up
+     */
+    reset() {
+        if (this.destroyed) {
+            return Promise.reject(this._destroyedError());
+        }
+        this._clearFailure();
+
+        // Brokers that haven't started yet get their workers when they do
+        if (this.started && !this.drainOpen) {
+            return this.resumeWorkers();
+        }
+        return Promise.resolve();
+    }
+
+    /**
+     * Drains the workers and tears down the broker for good. The broker can't be used afterwards.
+     * @param {{shutdown: {gracePeriod: number, killTimeout: number}, timeout: number}} [options] – Drain options
+     * @return {Promise} – Resolves once every worker has exited. Workers that outlast the timeout are killed, and it rejects with the timeout error.
+     */
+    async destroy(options) {
+        if (this.destroyed) return;
+        options = options || {};
+
+        this._log(this.type + ': destroying broker');
+
+        // Nothing is going to answer these now, and draining rejects whatever else is waiting on the workforce
+        this._rejectAllRequests();
+        const drained = this.drainWorkers(options);
+        this.destroyed = true;
+
+        let error = null;
+        try {
+            await drained;
+        } catch (err) {
+            error = err;
+        }
+
+        // Pull the plug on anything that outlasted the drain, and forget about it
+        this._workerIds[this.type].forEach((id) => {
+            const state = this._workerState[id];
+            const worker = state.worker;
+
+            clearTimeout(state.readyTimer);
+            clearTimeout(state.maxAgeTimer);
+            clearTimeout(state.stableTimer);
+            clearTimeout(worker._disconnectTimer);
+            clearTimeout(worker._killTimer);
+            state.listeners.forEach((binding) => worker.removeListener(binding.event, binding.listener));
+
+            if (!worker.isDead()) {
+                this._log(this.type + ': worker id=' + id + ' outlasted the broker, killing it');
+                worker.process.kill('SIGKILL');
+            }
+            this._removeOps(id);
+        });
+
+        this._workerIds[this.type] = [];
+        this._workerState = {};
+        this._handlers = {};
+
+        if (this._watcher) {
+            this._watcher.stop();
+        }
+
+        this._log(this.type + ': broker destroyed');
+
+        if (error) throw error;
     }
 }
 
@@ -246,4 +1667,40 @@ class OkanjoBroker extends EventEmitter {
  */
 OkanjoBroker.OkanjoWorker = require('./OkanjoWorker');
 
+/**
+ * Default in-memory ops store
+ * @type {MemoryOpsStore}
+ */
+OkanjoBroker.MemoryOpsStore = MemoryOpsStore;
+
+/**
+ * File watcher used for hot reloading
+ * @type {FileWatcher}
+ */
+OkanjoBroker.FileWatcher = FileWatcher;
+
+/**
+ * Worker backend that runs workers as cluster processes (the default)
+ * @type {ClusterBackend}
+ */
+OkanjoBroker.ClusterBackend = ClusterBackend;
+
+/**
+ * Worker backend that runs workers as threads
+ * @type {ThreadBackend}
+ */
+OkanjoBroker.ThreadBackend = ThreadBackend;
+
+/**
+ * Worker backend that runs workers as plain child processes
+ * @type {ProcessBackend}
+ */
+OkanjoBroker.ProcessBackend = ProcessBackend;
+
+/**
+ * Supervisor for running several brokers together
+ * @type {OkanjoBrokerSupervisor}
+ */
+OkanjoBroker.Supervisor = require('./OkanjoBrokerSupervisor');
+
 module.exports = OkanjoBroker;
\ No newline at end of file
@@ -0,0 +1,429 @@
+"use strict";
+
+const EventEmitter = require('events').EventEmitter;
+
+/**
+ * Broker events that the supervisor passes along, with the broker they came from
+ * @type {string[]}
+ */
+const BROKER_EVENTS = [
+    'worker_online',
+    'worker_ready',
+    'worker_ended',
+    'worker_death',
+    'worker_startup_failed',
+    'worker_message',
+    'worker_ops',
+    'worker_recycled',
+    'worker_unresponsive',
+    'worker_stopping',
+    'worker_terminated',
+    'worker_killed',
+    'worker_respawn_scheduled',
+    'scaled_up',
+    'scaled_down',
+    'files_changed',
+    'broker_failed',
+    'broker_completed'
+];
+
+/**
+ * What the supervisor does when the master gets each signal, unless configured otherwise
+ * @type {*}
+ */
+const DEFAULT_SIGNALS = {
+    SIGINT: 'shutdown',
+    SIGTERM: 'shutdown',
+    SIGHUP: 'recycle',
+    SIGUSR2: 'rollingRecycle'
+};
+
+/**
+ * Named actions that signals can be mapped to
+ * @type {string[]}
+ */
+const SIGNAL_ACTIONS = ['shutdown', 'recycle', 'rollingRecycle'];
+
+/**
+ * Runs a set of brokers together, and shuts them all down together
+ */
+class OkanjoBrokerSupervisor extends EventEmitter {
+
+    /**
+     * Constructor
+     * @param {OkanjoApp} app – Current application context
+     * @param {*} [brokers] – Broker options, keyed by broker name (see README)
+     * @param {*} [options] – Supervisor options (e.g. shutdownTimeout, handleSignals, etc – see README)
+     */
+    constructor(app, brokers, options) {
+        super();
+
+        // Verify we have an active application context
+        if (!app) {
+            throw new Error(`You need to provide the current app context when making a supervisor. Got: ${Object.getPrototypeOf(app || {}).constructor.name}`);
+        }
+
+        this.app = app;
+
+        if (!options) {
+            options = {};
+        }
+
+        // State flag set once a shutdown has started
+        this.shuttingDown = false;
+
+        this.shutdownTimeout = options.shutdownTimeout !== undefined ? options.shutdownTimeout : 30000;
+        this.handleSignals = options.handleSignals !== undefined ? options.handleSignals : false;
+        this.exitOnShutdown = options.exitOnShutdown !== undefined ? options.exitOnShutdown : true;
+        this.debug = options.debug !== undefined ? options.debug : false;
+
+        // What to do on each signal, falsy entries turn the default off
+        this.signals = {};
+        const signals = Object.assign({}, DEFAULT_SIGNALS, options.signals);
+        Object.keys(signals).forEach((signal) => {
+            const action = signals[signal];
+            if (!action) return;
+            if (typeof action !== 'function' && SIGNAL_ACTIONS.indexOf(action) < 0) {
+                throw new Error(`Unknown supervisor action ${action} for signal ${signal}, expected a function or one of: ${SIGNAL_ACTIONS.join(', ')}`);
+            }
+            this.signals[signal] = action;
+        });
+
+        // Brokers, keyed by name
+        this.brokers = {};
+
+        // Names of the brokers each broker depends on, keyed by broker name
+        this._dependencies = {};
+
+        this._shutdownPromise = null;
+        this._recyclePromise = null;
+        this._signalHandlers = {};
+
+        // Start the brokers, dependencies first
+        brokers = brokers || {};
+        this._sortBrokers(brokers).forEach((name) => this.addBroker(name, brokers[name]));
+
+        // Respond to signals sent to the master (e.g. by deploy tooling)
+        if (this.handleSignals) {
+            this._bindSignals();
+        }
+    }
+
+    /**
+     * Drop a debugging message to the console if configured to do so
+     */
+    _log() {
+        if (this.debug) {
+            console.error.apply(null, arguments); // eslint-disable-line no-console
+        }
+    }
+
+    /**
+     * Orders broker names so each one comes after the brokers it depends on
+     * @param {*} brokers – Broker options, keyed by broker name
+     * @return {string[]}
+     * @private
+     */
+    _sortBrokers(brokers) {
+        const order = [];
+        const visited = {};
+
+        const visit = (name, path) => {
+            if (path.indexOf(name) >= 0) {
+                throw new Error(`Broker dependency cycle: ${path.slice(path.indexOf(name)).concat(name).join(' -> ')}`);
+            }
+            if (visited[name]) return;
+            if (!brokers[name]) {
+                throw new Error(`Broker ${path[path.length - 1]} depends on unknown broker ${name}`);
+            }
+
+            [].concat(brokers[name].dependsOn || []).forEach((dependency) => visit(dependency, path.concat(name)));
+            visited[name] = true;
+            order.push(name);
+        };
+
+        Object.keys(brokers).forEach((name) => visit(name, []));
+        return order;
+    }
+
+    /**
+     * Adds a new broker to this supervisor, and starts it once the brokers it depends on are up
+     * @param {string} name – Broker name
+     * @param {*} [options] – OkanjoBroker options, plus `type` if the worker type differs from the name, and `dependsOn`
+     * @return {OkanjoBroker}
+     */
+    addBroker(name, options) {
+        if (this.brokers[name]) {
+            throw new Error(`Supervisor already has a broker named ${name}`);
+        }
+        if (this.shuttingDown) {
+            throw new Error(`Supervisor is shutting down, cannot add broker ${name}`);
+        }
+
+        options = options || {};
+        const dependsOn = [].concat(options.dependsOn || []);
+        dependsOn.forEach((dependency) => {
+            if (!this.brokers[dependency]) {
+                throw new Error(`Broker ${name} depends on unknown broker ${dependency}`);
+            }
+        });
+
+        // Required here, since OkanjoBroker exports this class
+        const OkanjoBroker = require('./OkanjoBroker');
+
+        const broker = this.brokers[name] = new OkanjoBroker(this.app, options.type || name, Object.assign({}, options, { autoStart: false }));
+        this._dependencies[name] = dependsOn;
+
+        // Pass the broker's events along, so there's one place to listen to everything
+        BROKER_EVENTS.forEach((event) => {
+            broker.on(event, (...args) => this.emit(event, ...args, broker));
+        });
+
+        if (dependsOn.length === 0) {
+            this._startBroker(name);
+        } else {
+            this._log('supervisor: broker ' + name + ' is waiting on ' + dependsOn.join(', '));
+
+            // Dependencies need to be ready, not just forked, or done if they're one-shot brokers
+            Promise.all(dependsOn.map((dependency) => {
+                const dependencyBroker = this.brokers[dependency];
+                return dependencyBroker.oneShot ? dependencyBroker.waitForCompletion() : dependencyBroker.waitForWorkers({ ready: true });
+            })).then(() => {
+                if (!this.shuttingDown) {
+                    this._startBroker(name);
+                }
+            }, (err) => {
+                if (!this.shuttingDown) {
+                    this.app.report('Supervisor could not start broker ' + name + ', a dependency stopped', err);
+                }
+            });
+        }
+
+        return broker;
+    }
+
+    /**
+     * Starts a broker's workforce
+     * @param {string} name – Broker name
+     * @private
+     */
+    _startBroker(name) {
+        const broker = this.brokers[name];
+        broker.start();
+
+        this._log('supervisor: started broker ' + name);
+        this.emit('broker_started', { name, broker });
+    }
+
+    /**
+     * Listens for the signals configured in the signal mapping
+     * @private
+     */
+    _bindSignals() {
+        Object.keys(this.signals).forEach((signal) => {
+            this._signalHandlers[signal] = () => this._onSignal(signal);
+            process.on(signal, this._signalHandlers[signal]);
+        });
+    }
+
+    /**
+     * Stops listening for signals
+     * @private
+     */
+    _unbindSignals() {
+        Object.keys(this._signalHandlers).forEach((signal) => {
+            process.removeListener(signal, this._signalHandlers[signal]);
+        });
+        this._signalHandlers = {};
+    }
+
+    /**
+     * Runs the action mapped to a signal
+     * @param {string} signal – Signal received
+     * @private
+     */
+    _onSignal(signal) {
+        const action = this.signals[signal];
+        this.emit('signal_received', { signal, action: typeof action === 'function' ? 'custom' : action });
+
+        if (typeof action === 'function') {
+            Promise.resolve()
+                .then(() => action(signal, this))
+                .catch((err) => this.app.report('Supervisor signal handler for ' + signal + ' failed', err));
+        } else if (action === 'shutdown') {
+            this._onShutdownSignal(signal);
+        } else {
+            this._onRecycleSignal(signal, action === 'rollingRecycle');
+        }
+    }
+
+    /**
+     * Recycles every broker's workers when the master is told to reload
+     * @param {string} signal – Signal received
+     * @param {boolean} rolling – Whether to force a rolling recycle, instead of each broker's rollingRecycle setting
+     * @private
+     */
+    _onRecycleSignal(signal, rolling) {
+        if (this.shuttingDown) {
+            this._log('supervisor: got ' + signal + ' but shutting down, not recycling');
+            return;
+        }
+        if (this._recyclePromise) {
+            this._log('supervisor: got ' + signal + ' but already recycling');
+            return;
+        }
+
+        this._log('supervisor: got ' + signal + ', recycling workers');
+        this.recycleWorkers(rolling ? { signal, rolling } : { signal });
+    }
+
+    /**
+     * Shuts everything down when the master is told to quit, then exits if configured to do so
+     * @param {string} signal – Signal received
+     * @private
+     */
+    _onShutdownSignal(signal) {
+        if (this.shuttingDown) {
+            this._log('supervisor: got ' + signal + ' but already shutting down');
+            return;
+        }
+
+        this._log('supervisor: got ' + signal + ', shutting down');
+        this.shutdown({ signal }).then((result) => {
+            if (this.exitOnShutdown) {
+                process.exit(Object.keys(result.errors).length > 0 ? 1 : 0);
+            }
+        });
+    }
+
+    /**
+     * Gets a snapshot of every broker's workforce, with totals
+     * @return {{shuttingDown: boolean, workers: number, active: number, ready: number, pending: string[], failed: string[], brokers: *}}
+     */
+    getStatus() {
+        const status = {
+            shuttingDown: this.shuttingDown,
+            workers: 0,
+            active: 0,
+            ready: 0,
+            pending: [],
+            failed: [],
+            brokers: {}
+        };
+
+        Object.keys(this.brokers).forEach((name) => {
+            const brokerStatus = status.brokers[name] = this.brokers[name].getStatus();
+            status.workers += brokerStatus.workers;
+            status.active += brokerStatus.active;
+            status.ready += brokerStatus.ready;
+            if (!brokerStatus.started && !brokerStatus.destroyed) {
+                status.pending.push(name);
+            }
+            if (brokerStatus.failed) {
+                status.failed.push(name);
+            }
+        });
+
+        return status;
+    }
+
+    /**
+     * Recycles the workers of every running broker
+     * @param {{signal: string, rolling: boolean, batchSize: number, shutdown: {gracePeriod: number, killTimeout: number}, timeout: number}} [options] – Recycle options, passed to each broker's recycleWorkers
+     * @return {Promise<{signal: string, errors: *}>} – Resolves once every broker's workers are replaced, with any broker errors (e.g. timeouts) keyed by broker name
+     */
+    recycleWorkers(options) {
+        if (this._recyclePromise) {
+            return this._recyclePromise;
+        }
+
+        options = Object.assign({}, options);
+        const signal = options.signal || null;
+        delete options.signal;
+
+        // One-shot brokers run to completion, and brokers that aren't running have nothing to recycle
+        const names = Object.keys(this.brokers).filter((name) => {
+            const broker = this.brokers[name];
+            return broker.started && !broker.oneShot && !broker.destroyed && !broker.drainOpen && !broker.failed;
+        });
+
+        this._log('supervisor: recycling ' + names.length + ' brokers');
+        this.emit('recycle_started', { signal, brokers: names });
+
+        const errors = {};
+        this._recyclePromise = Promise.all(names.map((name) => {
+            return Promise.resolve()
+                .then(() => this.brokers[name].recycleWorkers(Object.assign({}, options)))
+                .catch((err) => {
+                    this.app.report('Supervisor could not recycle broker ' + name, err);
+                    errors[name] = err;
+                });
+        })).then(() => {
+            this._recyclePromise = null;
+
+            const result = { signal, errors };
+            this._log('supervisor: recycle complete');
+            this.emit('recycle_complete', result);
+            return result;
+        });
+
+        return this._recyclePromise;
+    }
+
+    /**
+     * Drains and destroys every broker under a single deadline, each one after the brokers that depend on it
+     * @param {{signal: string, timeout: number}} [options] – Shutdown options, the timeout defaults to the supervisor's shutdownTimeout
+     * @return {Promise<{signal: string, errors: *}>} – Resolves once every broker is down, with any broker errors (e.g. timeouts) keyed by broker name
+     */
+    shutdown(options) {
+        if (this._shutdownPromise) {
+            return this._shutdownPromise;
+        }
+
+        options = options || {};
+        const signal = options.signal || null;
+        const timeout = options.timeout !== undefined ? options.timeout : this.shutdownTimeout;
+
+        // Let the brokers (and the rest of the app) know not to replace workers that exit from here on out
+        this.shuttingDown = true;
+        this.app.gracefulShutdown = true;
+
+        this._log('supervisor: shutting down ' + Object.keys(this.brokers).length + ' brokers');
+        this.emit('shutdown_started', { signal, timeout });
+
+        const errors = {};
+        const stopped = {};
+        const deadline = timeout > 0 ? Date.now() + timeout : 0;
+
+        // Brokers are stopped in reverse dependency order, and in parallel where they don't depend on each other
+        const stop = (name) => {
+            if (!stopped[name]) {
+                const dependents = Object.keys(this._dependencies).filter((other) => this._dependencies[other].indexOf(name) >= 0);
+                stopped[name] = Promise.all(dependents.map(stop)).then(() => {
+                    const broker = this.brokers[name];
+                    return broker.destroy({ timeout: deadline ? Math.max(1, deadline - Date.now()) : 0 }).catch((err) => {
+                        this.app.report('Supervisor could not shut down broker ' + name + ' cleanly', err);
+                        errors[name] = err;
+                    }).then(() => {
+                        this._log('supervisor: stopped broker ' + name);
+                        this.emit('broker_stopped', { name, broker, error: errors[name] || null });
+                    });
+                });
+            }
+            return stopped[name];
+        };
+
+        this._shutdownPromise = Promise.all(Object.keys(this.brokers).map(stop)).then(() => {
+            this._unbindSignals();
+
+            const result = { signal, errors };
+            this._log('supervisor: shutdown complete');
+            this.emit('shutdown_complete', result);
+            return result;
+        });
+
+        return this._shutdownPromise;
+    }
+}
+
+module.exports = OkanjoBrokerSupervisor;
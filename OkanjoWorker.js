@@ -1,5 +1,17 @@
 "use strict";
 
+const Cluster = require('cluster');
+const Path = require('path');
+const PerfHooks = require('perf_hooks');
+const WorkerThreads = require('worker_threads');
+const { serializeError, deserializeError } = require('./IpcUtil');
+
+/**
+ * Worker classes (or module paths) the bootstrap helper can start, keyed by worker type
+ * @type {*}
+ */
+const registry = {};
+
 /**
  * Worker base class - Must be extended to be useful
  */
@@ -17,6 +29,34 @@ class OkanjoWorker {
         // Set the process title to the name of this worker - Not 100% sure this will do anything
         process.title = `node-${process.env.worker_type}-${process.env.env}`;
 
+        // Whether init has finished and the broker was told so
+        this.ready = false;
+
+        // How many units of work (requests, jobs, etc) this worker has handled
+        this.jobCount = 0;
+
+        // How many units of work the broker lets this worker handle before recycling it, if it's counting
+        this.maxJobs = options.maxJobs || parseInt(process.env.max_jobs) || 0;
+
+        // Whether the broker told this worker to shut down
+        this._shutdownRequested = false;
+
+        // Request handlers the broker can call, keyed by method name
+        this._handlers = {};
+
+        // Requests sent to the broker that are waiting on a response, keyed by request id
+        this.requestTimeout = options.requestTimeout || 10000;
+        this._requestSeq = 0;
+        this._pendingRequests = new Map();
+
+        // Let the broker know once init resolves, whether it's called here or later on by the implementation
+        const init = this.init;
+        this.init = async function() {
+            const result = await init.apply(this, arguments);
+            this._signalReady();
+            return result;
+        };
+
         // Automatically initialize unless opted out
         if (!options.skipInit) {
             this.init();
@@ -25,14 +65,122 @@ class OkanjoWorker {
         // Handle notifications from master to shutdown
         process.on('message', async (message) => {
             if (message === "suicide") {
+                this._shutdownRequested = true;
                 await this.prepareForShutdown();
+            } else if (message && typeof message === "object" && message.type === "rpc_request") {
+                await this._handleRequest(message);
+            } else if (message && typeof message === "object" && message.type === "rpc_response") {
+                this._resolveRequest(message);
             }
         });
 
+        // Nobody is going to answer pending requests or listen to ops and heartbeats once the broker is gone
+        process.on('disconnect', () => {
+            this._rejectRequests();
+            this.stopOpsReporter();
+            this._stopHeartbeat();
+
+            // Cluster workers exit when the master goes away, but forked processes would be orphaned, so leave unless already on the way out
+            if (process.env.worker_mode === 'process' && !this._shutdownRequested) {
+                this.prepareForShutdown();
+            }
+        });
+
+        // Let the broker know we're still responsive, if it's watching
+        const heartbeatInterval = options.heartbeatInterval || parseInt(process.env.heartbeat_interval) || 0;
+        if (heartbeatInterval > 0) {
+            this._startHeartbeat(heartbeatInterval);
+        }
+
+        // Start sending ops stats to the broker if configured to do so
+        if (options.opsInterval > 0) {
+            this.startOpsReporter(options.opsInterval);
+        }
+
         // Handle process termination signals
         this._bindProcessSignals();
     }
 
+    /**
+     * Whether this process (or thread) was started by a broker, whichever way it runs its workers
+     * @return {boolean}
+     * @private
+     */
+    static _isBrokerWorker() {
+        if (Cluster.isWorker || !WorkerThreads.isMainThread) return true;
+
+        // Forked child processes are told so by their broker, and have a channel back to it
+        return process.env.worker_mode === 'process' && !!process.send;
+    }
+
+    /**
+     * Registers the worker class to start for a worker type, see `OkanjoWorker.bootstrap`
+     * @param {string} type – Worker type, as given to the broker
+     * @param {function|string} workerClass – Worker class, or the path of a module that exports one, which is only required in workers of this type
+     * @param {*} [options] – Options to construct the worker with
+     */
+    static register(type, workerClass, options) {
+        if (!type || typeof type !== "string") {
+            throw new Error(`Worker type must be a non-empty string. Got: ${typeof type}`);
+        }
+        if (typeof workerClass !== "function" && typeof workerClass !== "string") {
+            throw new Error(`Worker type ${type} needs a worker class or module path. Got: ${typeof workerClass}`);
+        }
+        registry[type] = { workerClass, options };
+    }
+
+    /**
+     * Starts the worker registered for this process' (or thread's) worker type. Does nothing in the master.
+     *
+     * If the type isn't registered, or its worker class can't be loaded, the broker is told why and the process exits.
+     * Errors thrown by the worker's constructor crash the worker like any other error, so it gets respawned.
+     * @param {OkanjoApp} [app] – Okanjo app instance, passed to the worker
+     * @return {OkanjoWorker|null} – The worker, or null if there isn't one
+     */
+    static bootstrap(app) {
+        if (!OkanjoWorker._isBrokerWorker()) return null;
+
+        const type = process.env.worker_type;
+        const entry = registry[type];
+        let WorkerClass;
+        try {
+            if (!entry) {
+                throw new Error(`No worker registered for worker type ${type} (registered: ${Object.keys(registry).join(', ') || 'none'})`);
+            }
+
+            // Module paths are loaded on demand, so workers only load their own code
+            WorkerClass = entry.workerClass;
+            if (typeof WorkerClass === "string") {
+                WorkerClass = require(WorkerClass.charAt(0) === '.' ? Path.resolve(WorkerClass) : WorkerClass);
+            }
+            if (typeof WorkerClass !== "function") {
+                throw new Error(`Worker type ${type} module ${entry.workerClass} does not export a worker class`);
+            }
+        } catch (err) {
+            // Respawning won't fix a missing or broken worker class
+            OkanjoWorker._failStartup(type, err);
+            return null;
+        }
+
+        // Constructor errors might not happen next time (e.g. a database that isn't up yet), so they crash the worker as usual
+        return new WorkerClass(app, entry.options);
+    }
+
+    /**
+     * Tells the broker this worker couldn't start, so it doesn't keep respawning it, then exits
+     * @param {string} type – Worker type
+     * @param {Error} err – Why it couldn't start
+     * @private
+     */
+    static _failStartup(type, err) {
+        if (process.send && process.connected) {
+            process.send({ type: 'startup_failed', workerType: type, error: serializeError(err) }, () => process.exit(1));
+        } else {
+            console.error(`Worker type ${type} failed to start:`, err); // eslint-disable-line no-console
+            process.exit(1);
+        }
+    }
+
     /**
      * Initialize the worker
      */
@@ -40,6 +188,275 @@ class OkanjoWorker {
         // This method is intended to be overridden
     }
 
+    /**
+     * Sends a message to the broker, if it's still there
+     * @param {*} message – Message to send
+     * @param {function(Error)} [onError] – Called if the message couldn't be sent after all
+     * @return {boolean} – Whether the message was sent
+     * @private
+     */
+    _sendToBroker(message, onError) {
+        if (!process.send || !process.connected) return false;
+
+        // The channel can close before the message goes out (e.g. bounced while booting), which the disconnect handler deals with,
+        // so don't let it surface as an unhandled error event that crashes the worker
+        process.send(message, (err) => {
+            if (err && onError) onError(err);
+        });
+        return true;
+    }
+
+    /**
+     * Tells the broker that this worker is ready to do work
+     */
+    _signalReady() {
+        if (!this.ready) {
+            this.ready = true;
+            this._sendToBroker({ type: 'ready' });
+        }
+    }
+
+    /**
+     * Counts units of work (requests, jobs, etc) this worker handled, so the broker can recycle it after `maxJobs`
+     * @param {number} [count] – How many units were handled, default is 1
+     * @return {number} – Total units handled by this worker
+     */
+    countJob(count) {
+        const previous = this.jobCount;
+        this.jobCount += count === undefined ? 1 : count;
+
+        // Only tell the broker once the limit is reached, instead of sending a message for every unit of work
+        if (this.maxJobs > 0 && previous < this.maxJobs && this.jobCount >= this.maxJobs) {
+            this._sendToBroker({ type: 'job_count', count: this.jobCount });
+        }
+        return this.jobCount;
+    }
+
+    /**
+     * Registers a handler the broker can call with `broker.request(workerId, method, args)`
+     * @param {string} method – Method name
+     * @param {function(*):*} handler – Function that receives the request args and returns (or resolves) the result
+     * @return {OkanjoWorker}
+     */
+    handle(method, handler) {
+        this._handlers[method] = handler;
+        return this;
+    }
+
+    /**
+     * Runs the handler for a request from the broker and sends back the result
+     * @param {{id: number, method: string, args: *}} message – Request message
+     */
+    async _handleRequest(message) {
+        let response;
+        try {
+            const handler = this._handlers[message.method];
+            if (!handler) {
+                throw new Error(`No handler registered for ${message.method}`);
+            }
+            const result = await handler.call(this, message.args);
+            response = { type: 'rpc_response', id: message.id, result };
+        } catch (err) {
+            response = { type: 'rpc_response', id: message.id, error: serializeError(err) };
+        }
+
+        this._sendToBroker(response);
+    }
+
+    /**
+     * Asks the broker to run one of its handlers and waits for the result
+     * @param {string} method – Name of the handler registered on the broker
+     * @param {*} [args] – Argument to pass to the handler
+     * @param {{timeout: number}} [options] – Request options
+     * @return {Promise<*>} – Resolves with the handler's result
+     */
+    askBroker(method, args, options) {
+        options = options || {};
+
+        if (!process.send || !process.connected) {
+            return Promise.reject(new Error(`Not connected to a broker, cannot ask for ${method}`));
+        }
+
+        const timeout = options.timeout || this.requestTimeout;
+        const requestId = ++this._requestSeq;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this._pendingRequests.delete(requestId);
+                reject(new Error(`Broker did not respond to ${method} within ${timeout}ms`));
+            }, timeout);
+
+            this._pendingRequests.set(requestId, { method, resolve, reject, timer });
+            this._sendToBroker({ type: 'rpc_request', id: requestId, method, args }, (err) => {
+                if (!this._pendingRequests.has(requestId)) return;
+                this._pendingRequests.delete(requestId);
+                clearTimeout(timer);
+                reject(new Error(`Could not ask the broker for ${method}: ${err.message}`));
+            });
+        });
+    }
+
+    /**
+     * Settles a pending request with the broker's response
+     * @param {{id: number, result: *, error: *}} message – Response message
+     */
+    _resolveRequest(message) {
+        const request = this._pendingRequests.get(message.id);
+        if (!request) return;
+
+        this._pendingRequests.delete(message.id);
+        clearTimeout(request.timer);
+
+        if (message.error) {
+            request.reject(deserializeError(message.error));
+        } else {
+            request.resolve(message.result);
+        }
+    }
+
+    /**
+     * Rejects all pending requests to the broker
+     */
+    _rejectRequests() {
+        this._pendingRequests.forEach((request) => {
+            clearTimeout(request.timer);
+            request.reject(new Error(`Disconnected from the broker before it responded to ${request.method}`));
+        });
+        this._pendingRequests.clear();
+    }
+
+    /**
+     * Starts sending heartbeats to the broker, so it can tell if the event loop gets stuck
+     * @param {number} interval – How often to send a heartbeat, in milliseconds
+     */
+    _startHeartbeat(interval) {
+        this._stopHeartbeat();
+        this._sendHeartbeat();
+        this._heartbeatInterval = setInterval(() => this._sendHeartbeat(), interval);
+        this._heartbeatInterval.unref(); // don't hold the process open just for heartbeats
+    }
+
+    /**
+     * Stops sending heartbeats to the broker
+     */
+    _stopHeartbeat() {
+        clearInterval(this._heartbeatInterval);
+    }
+
+    /**
+     * Sends a single heartbeat to the broker
+     */
+    _sendHeartbeat() {
+        const memory = process.memoryUsage();
+        this._sendToBroker({ type: 'heartbeat', memory: { rss: memory.rss, heapUsed: memory.heapUsed } });
+    }
+
+    /**
+     * Starts periodically sending ops stats to the broker (see `broker.on('worker_ops')`)
+     * @param {number} interval – How often to send stats, in milliseconds
+     */
+    startOpsReporter(interval) {
+        this.stopOpsReporter();
+
+        // Event loop lag is sampled continuously, everything else is measured since the last report
+        this._loopDelay = PerfHooks.monitorEventLoopDelay({ resolution: 10 });
+        this._loopDelay.enable();
+        this._lastOpsSample = this._sampleOps();
+
+        this._opsInterval = setInterval(() => this._reportOps(), interval);
+        this._opsInterval.unref(); // don't hold the process open just for reporting
+    }
+
+    /**
+     * Stops sending ops stats to the broker
+     */
+    stopOpsReporter() {
+        if (this._opsInterval) {
+            clearInterval(this._opsInterval);
+            this._opsInterval = null;
+            this._loopDelay.disable();
+        }
+    }
+
+    /**
+     * Hook to add custom fields to the ops stats (hook point)
+     * @return {Promise<*>} – Fields to merge into the ops data
+     */
+    async getOpsData() {
+        // This method is intended to be overridden
+        return {};
+    }
+
+    /**
+     * Takes the cumulative readings that ops stats are measured against
+     * @return {{time: number, cpu: {user: number, system: number}, elu: *}}
+     */
+    _sampleOps() {
+        const perf = PerfHooks.performance;
+        return {
+            time: Date.now(),
+            cpu: process.cpuUsage(),
+            elu: typeof perf.eventLoopUtilization === "function" ? perf.eventLoopUtilization() : null
+        };
+    }
+
+    /**
+     * Gathers the standard ops stats since the last report, plus custom fields from the hook
+     * @return {Promise<*>}
+     */
+    async collectOps() {
+        const previous = this._lastOpsSample || this._sampleOps();
+        const current = this._sampleOps();
+        this._lastOpsSample = current;
+
+        const memory = process.memoryUsage();
+        const elapsed = Math.max(1, current.time - previous.time);
+        const cpuUser = (current.cpu.user - previous.cpu.user) / 1000;
+        const cpuSystem = (current.cpu.system - previous.cpu.system) / 1000;
+
+        const data = {
+            memory: {
+                rss: memory.rss,
+                heapTotal: memory.heapTotal,
+                heapUsed: memory.heapUsed,
+                external: memory.external
+            },
+            eventLoop: {
+                lag: this._loopDelay && this._loopDelay.count !== 0 ? this._loopDelay.mean / 1e6 : 0,
+                maxLag: this._loopDelay ? this._loopDelay.max / 1e6 : 0,
+                utilization: current.elu && previous.elu ? PerfHooks.performance.eventLoopUtilization(current.elu, previous.elu).utilization : null
+            },
+            cpu: {
+                user: cpuUser,
+                system: cpuSystem,
+                percent: (cpuUser + cpuSystem) / elapsed * 100
+            },
+            handles: typeof process.getActiveResourcesInfo === "function" ? process.getActiveResourcesInfo().length : process._getActiveHandles().length,
+            uptime: process.uptime()
+        };
+
+        if (this._loopDelay) {
+            this._loopDelay.reset();
+        }
+
+        return Object.assign(data, await this.getOpsData());
+    }
+
+    /**
+     * Sends the latest ops stats to the broker
+     */
+    async _reportOps() {
+        try {
+            const data = await this.collectOps();
+            this._sendToBroker({ type: 'ops', data });
+        } catch (err) {
+            /* istanbul ignore else: out of scope */
+            if (this.app && this.app.report) {
+                this.app.report('Failed to collect worker ops', err);
+            }
+        }
+    }
+
     /**
      * Monitors for process events and intercepts signals to try to graceful shutdown (hook point)
      */
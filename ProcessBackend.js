@@ -0,0 +1,132 @@
+"use strict";
+
+const ChildProcess = require('child_process');
+const EventEmitter = require('events').EventEmitter;
+
+/**
+ * Whether child processes emit the spawn event (node 14.17+ and 15.1+)
+ * @type {boolean}
+ */
+const HAS_SPAWN_EVENT = (() => {
+    const version = process.versions.node.split('.').map((part) => parseInt(part));
+    return version[0] > 15 || (version[0] === 15 && version[1] >= 1) || (version[0] === 14 && version[1] >= 17);
+})();
+
+/**
+ * Last worker id handed out, since child processes don't have one like cluster workers do
+ * @type {number}
+ */
+let lastId = 0;
+
+/**
+ * A forked child process, wrapped up to look like a cluster worker to the broker
+ */
+class ProcessWorker extends EventEmitter {
+
+    /**
+     * Constructor
+     * @param {ChildProcess} child – The forked child process
+     */
+    constructor(child) {
+        super();
+
+        this.id = ++lastId;
+        this.process = child;
+
+        // Set once the broker lets go of the worker, like cluster workers
+        this.exitedAfterDisconnect = undefined;
+
+        if (HAS_SPAWN_EVENT) {
+            child.on('spawn', () => this.emit('online'));
+        } else {
+            // Without the spawn event, the process is up as long as it got a pid (once the broker is listening)
+            process.nextTick(() => {
+                if (child.pid) this.emit('online');
+            });
+        }
+        child.on('message', (message) => this.emit('message', message));
+        child.on('disconnect', () => this.emit('disconnect'));
+        child.on('exit', (code, signal) => this.emit('exit', code, signal));
+        child.on('error', (err) => {
+            // e.g. the process couldn't be spawned or signalled, so only pass them along if someone is listening
+            if (this.listenerCount('error') > 0) {
+                this.emit('error', err);
+            }
+        });
+    }
+
+    /**
+     * Sends a message to the process
+     * @param {*} message – Message to send
+     * @param {function(Error)} [callback] – Called once the message is sent
+     * @return {boolean} – Whether the message was sent
+     */
+    send(message, callback) {
+        return this.process.send(message, callback);
+    }
+
+    /**
+     * Lets go of the process, which exits once it has nothing left to do
+     */
+    disconnect() {
+        if (!this.process.connected) return;
+
+        this.exitedAfterDisconnect = true;
+        this.process.disconnect();
+    }
+
+    /**
+     * Lets go of the process and signals it
+     * @param {string} [signal] – Signal to send, default is SIGTERM
+     */
+    kill(signal) {
+        this.disconnect();
+        this.process.kill(signal || 'SIGTERM');
+    }
+
+    /**
+     * Whether the process exited
+     * @return {boolean}
+     */
+    isDead() {
+        return this.process.exitCode !== null || this.process.signalCode !== null;
+    }
+
+    /**
+     * Whether the broker can still talk to the process
+     * @return {boolean}
+     */
+    isConnected() {
+        return this.process.connected;
+    }
+}
+
+/**
+ * Worker backend that forks each worker as a plain child process, which doesn't share server ports and doesn't need the cluster master
+ */
+class ProcessBackend {
+
+    /**
+     * Starts a worker process
+     * @param {{env: *, exec: string, args: string[], execArgv: string[]}} options – Worker env vars, plus the script, arguments and node flags to use instead of the master's
+     * @return {ProcessWorker}
+     */
+    fork(options) {
+        const forkOptions = {
+            env: Object.assign({}, process.env, options.env)
+        };
+        if (options.execArgv) {
+            forkOptions.execArgv = options.execArgv;
+        }
+
+        return new ProcessWorker(ChildProcess.fork(options.exec || process.argv[1], options.args || process.argv.slice(2), forkOptions));
+    }
+}
+
+/**
+ * Process worker wrapper class
+ * @type {ProcessWorker}
+ */
+ProcessBackend.ProcessWorker = ProcessWorker;
+
+module.exports = ProcessBackend;
@@ -0,0 +1,192 @@
+"use strict";
+
+const EventEmitter = require('events').EventEmitter;
+const Path = require('path');
+const WorkerThreads = require('worker_threads');
+const { DISCONNECT_MESSAGE } = require('./IpcUtil');
+
+/**
+ * V8 flags threads can't take, mapped to the thread resource limits that do the same thing
+ * @type {Array<{flag: RegExp, limit: string, toLimit: function(number):number}>}
+ */
+const RESOURCE_LIMIT_FLAGS = [
+    { flag: /^--max[-_]old[-_]space[-_]size=(\d+)$/, limit: 'maxOldGenerationSizeMb', toLimit: (mb) => mb },
+    { flag: /^--stack[-_]size=(\d+)$/, limit: 'stackSizeMb', toLimit: (kb) => kb / 1024 }
+];
+
+/**
+ * A worker thread, wrapped up to look like a cluster worker to the broker
+ */
+class ThreadWorker extends EventEmitter {
+
+    /**
+     * Constructor
+     * @param {Worker} thread – The worker_threads worker
+     */
+    constructor(thread) {
+        super();
+
+        this.thread = thread;
+        this.id = thread.threadId;
+
+        // Set once the broker lets go of the worker, like cluster workers
+        this.exitedAfterDisconnect = undefined;
+
+        this._connected = true;
+        this._dead = false;
+        this._killSignal = null;
+
+        // Threads can't be signalled, so any signal ends the thread right away
+        // There's no pid either, since the thread shares the master's process
+        this.process = {
+            kill: (signal) => this._terminate(signal || 'SIGTERM')
+        };
+
+        thread.on('online', () => this.emit('online'));
+        thread.on('message', (message) => this.emit('message', message));
+        thread.on('error', (err) => {
+            // Uncaught exceptions end the thread, so only pass them along if someone is listening
+            if (this.listenerCount('error') > 0) {
+                this.emit('error', err);
+            }
+        });
+        thread.on('exit', (code) => {
+            this._dead = true;
+            this._setDisconnected();
+            this.emit('exit', this._killSignal ? null : code, this._killSignal);
+        });
+    }
+
+    /**
+     * Sends a message to the thread
+     * @param {*} message – Message to send
+     * @param {function(Error)} [callback] – Called once the message is sent
+     * @return {boolean} – Whether the message was sent
+     */
+    send(message, callback) {
+        if (!this._connected) {
+            if (callback) {
+                const err = new Error('Channel closed');
+                err.code = 'ERR_IPC_CHANNEL_CLOSED';
+                process.nextTick(callback, err);
+            }
+            return false;
+        }
+
+        this.thread.postMessage(message);
+        if (callback) process.nextTick(callback, null);
+        return true;
+    }
+
+    /**
+     * Lets go of the thread, which exits once it has nothing left to do
+     */
+    disconnect() {
+        if (!this._connected) return;
+
+        this.exitedAfterDisconnect = true;
+        this.thread.postMessage(DISCONNECT_MESSAGE);
+        this._setDisconnected();
+    }
+
+    /**
+     * Lets go of the thread and ends it
+     * @param {string} [signal] – Signal to report the thread was ended with, default is SIGTERM
+     */
+    kill(signal) {
+        this.disconnect();
+        this._terminate(signal || 'SIGTERM');
+    }
+
+    /**
+     * Whether the thread exited
+     * @return {boolean}
+     */
+    isDead() {
+        return this._dead;
+    }
+
+    /**
+     * Whether the broker can still talk to the thread
+     * @return {boolean}
+     */
+    isConnected() {
+        return this._connected;
+    }
+
+    /**
+     * Marks the thread as disconnected, and lets listeners know
+     * @private
+     */
+    _setDisconnected() {
+        if (this._connected) {
+            this._connected = false;
+            this.emit('disconnect');
+        }
+    }
+
+    /**
+     * Stops the thread, even if it's stuck
+     * @param {string} signal – Signal to report the thread was ended with
+     * @private
+     */
+    _terminate(signal) {
+        if (this._dead) return;
+
+        this._killSignal = signal;
+        this.thread.terminate();
+    }
+}
+
+/**
+ * Worker backend that runs each worker in a thread of the master process, for workers that don't need their own process
+ */
+class ThreadBackend {
+
+    /**
+     * Converts node flags to thread options, since threads take heap and stack sizes as resource limits instead of flags
+     * @param {string[]} execArgv – Node flags
+     * @return {{execArgv: string[], resourceLimits: *}}
+     */
+    static toThreadOptions(execArgv) {
+        const resourceLimits = {};
+        const flags = execArgv.filter((arg) => {
+            const mapping = RESOURCE_LIMIT_FLAGS.find((entry) => entry.flag.test(arg));
+            if (mapping) {
+                resourceLimits[mapping.limit] = mapping.toLimit(parseInt(mapping.flag.exec(arg)[1]));
+            }
+            return !mapping;
+        });
+
+        return { execArgv: flags, resourceLimits };
+    }
+
+    /**
+     * Starts a worker thread
+     * @param {{env: *, exec: string, args: string[], execArgv: string[]}} options – Worker env vars, plus the script, arguments and node flags to use instead of the master's
+     * @return {ThreadWorker}
+     */
+    fork(options) {
+        const env = Object.assign({}, process.env, options.env);
+        Object.keys(env).forEach((key) => env[key] = String(env[key]));
+
+        const threadOptions = {
+            workerData: { exec: Path.resolve(options.exec || process.argv[1]) },
+            argv: options.args || process.argv.slice(2),
+            env
+        };
+        if (options.execArgv) {
+            Object.assign(threadOptions, ThreadBackend.toThreadOptions(options.execArgv));
+        }
+
+        return new ThreadWorker(new WorkerThreads.Worker(Path.join(__dirname, 'ThreadEntry.js'), threadOptions));
+    }
+}
+
+/**
+ * Thread worker wrapper class
+ * @type {ThreadWorker}
+ */
+ThreadBackend.ThreadWorker = ThreadWorker;
+
+module.exports = ThreadBackend;
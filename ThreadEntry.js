@@ -0,0 +1,47 @@
+"use strict";
+
+/**
+ * Entry point of broker worker threads
+ *
+ * Gives the thread the same process.send and process.on('message') interface as cluster workers, then loads the worker script
+ */
+
+const WorkerThreads = require('worker_threads');
+const { DISCONNECT_MESSAGE } = require('./IpcUtil');
+
+const parentPort = WorkerThreads.parentPort;
+
+process.connected = true;
+
+process.send = function(message, callback) {
+    if (!process.connected) {
+        const err = new Error('Channel closed');
+        err.code = 'ERR_IPC_CHANNEL_CLOSED';
+        if (callback) process.nextTick(callback, err);
+        return false;
+    }
+
+    parentPort.postMessage(message);
+    if (callback) process.nextTick(callback, null);
+    return true;
+};
+
+process.disconnect = function() {
+    if (process.connected) {
+        process.connected = false;
+
+        // Let the thread exit once it has nothing left to do
+        parentPort.close();
+        process.emit('disconnect');
+    }
+};
+
+parentPort.on('message', (message) => {
+    if (message === DISCONNECT_MESSAGE) {
+        process.disconnect();
+    } else {
+        process.emit('message', message);
+    }
+});
+
+require(WorkerThreads.workerData.exec);
@@ -3,9 +3,30 @@
 const why = require('why-is-node-running'); // should be your first require
 const should = require('should');
 const OkanjoApp = require('okanjo-app');
+const childProcess = require('child_process');
 const cluster = require('cluster');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { describe, it, after } = require('mocha');
 
+// Where the watched worker's "code" lives, so the master and workers agree on it
+const WATCH_DIR = path.join(os.tmpdir(), 'okanjo-broker-watch-test');
+
+// Removes a directory and everything in it (fs.rmSync isn't available on every supported node version)
+const removeDir = function (dir) {
+    if (!fs.existsSync(dir)) return;
+    fs.readdirSync(dir).forEach((name) => {
+        const file = path.join(dir, name);
+        if (fs.statSync(file).isDirectory()) {
+            removeDir(file);
+        } else {
+            fs.unlinkSync(file);
+        }
+    });
+    fs.rmdirSync(dir);
+};
+
 
 const debugEnabled = !!process.env.VERBOSE;
 const logEnabled = !!process.env.WHY
@@ -168,6 +189,569 @@ if (cluster.isMaster) {
             broker._workerIds.basic.should.be.an.Array();
         });
 
+        it('should fork workers with their own script, node flags and env', function(done) {
+
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a broker whose workers run a standalone script, with their own args, node flags and env vars.
+             2. The global cluster settings should be left the way they were.
+             3. Each worker should tell us how it was started, and once both have, we'll destroy the broker and call the test done.
+
+             */
+
+            const app = new OkanjoApp({}),
+                settings = cluster.settings;
+
+            should(() => new OkanjoBroker(app, 'basic', { envFactory: 'nope' })).throw(/Env factory must be a function/);
+
+            const state = {
+                spawns: 0,
+                started: []
+            };
+
+            const broker = new OkanjoBroker(app, "batch", {
+                workerCount: 2,
+                exec: path.join(__dirname, 'fixtures', 'exec-worker.js'),
+                args: ['--batch'],
+                execArgv: ['--max-old-space-size=128'],
+                env: { region: 'us-east', worker_type: 'nope' },
+                envFactory: (target) => {
+                    target.type.should.be.exactly('batch');
+                    return { spawn: ++state.spawns };
+                }
+            });
+
+            cluster.settings.should.be.exactly(settings);
+            state.spawns.should.be.exactly(2);
+
+            broker.on('worker_death', function() {
+                throw new Error('Worker should not have died unless we told it to.');
+            });
+
+            broker.on('worker_message', function(msg) {
+                msg.script.should.be.exactly('exec-worker');
+                msg.args.should.be.eql(['--batch']);
+                msg.execArgv.should.be.eql(['--max-old-space-size=128']);
+                msg.region.should.be.exactly('us-east');
+
+                // The broker's own vars win
+                msg.workerType.should.be.exactly('batch');
+
+                state.started.push(msg.spawn);
+                if (state.started.length === 2) {
+                    state.started.sort().should.be.eql(['1', '2']);
+                    broker.destroy().then(done).catch(done);
+                }
+            });
+        });
+
+        it('should count workers that could not be spawned as deaths', function(done) {
+
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a broker whose worker crashes on boot, and whose env factory throws when respawning it.
+             2. The failed respawn should be reported instead of taking down the master, count as a death, and be tried again later.
+             3. The retry fails too, which trips the restart intensity, so once the broker fails, we'll destroy it and call the test done.
+
+             */
+
+            const app = new OkanjoApp({}),
+                state = { spawns: 0, reports: [] };
+
+            app.report = function(message, err) {
+                state.reports.push(message instanceof Error ? message.message : message + ': ' + err.message);
+            };
+
+            const broker = new OkanjoBroker(app, "crashloop", {
+                workerCount: 1,
+                restartIntensity: { maxRestarts: 2, period: 10000 },
+                envFactory: () => {
+                    if (++state.spawns > 1) throw new Error('Out of ports');
+                    return {};
+                }
+            });
+
+            broker.on('broker_failed', function(event) {
+                event.history.length.should.be.exactly(3);
+                event.history[0].code.should.be.exactly(1);
+                event.history.slice(1).forEach((death) => {
+                    should(death.id).be.exactly(null);
+                    death.error.message.should.be.exactly('Out of ports');
+                });
+
+                state.spawns.should.be.exactly(3);
+                state.reports.should.be.eql([
+                    'crashloop worker id=' + event.history[0].id + ' died!',
+                    'crashloop broker could not spawn a worker: Out of ports',
+                    'crashloop broker failed: 3 workers died within 10000ms'
+                ]);
+
+                broker.destroy().then(done).catch(done);
+            });
+        });
+
+        it('should bootstrap registered worker types', function(done) {
+
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a broker whose worker starts the class registered for its type, by module path.
+             2. Bootstrapping in the master should do nothing.
+             3. Once the worker tells us how it was started, we'll destroy the broker and call the test done.
+
+             */
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "bootstrap", { workerCount: 1 });
+
+            should(() => OkanjoBroker.OkanjoWorker.register('', function() {})).throw(/non-empty string/);
+            should(() => OkanjoBroker.OkanjoWorker.register('api', {})).throw(/needs a worker class or module path/);
+            should(OkanjoBroker.OkanjoWorker.bootstrap(app)).be.exactly(null);
+
+            broker.on('worker_death', function() {
+                throw new Error('Worker should not have died unless we told it to.');
+            });
+
+            broker.on('worker_message', function(msg) {
+                msg.should.be.eql({ bootstrapped: 'bootstrap', greeting: 'hi', hasApp: true });
+                broker.destroy().then(done).catch(done);
+            });
+        });
+
+        it('should fail the broker when workers cannot start', function(done) {
+
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a broker for a type nobody registered, and one whose registered module doesn't exist.
+             2. Each worker should tell the broker why it couldn't start, and the broker should fail instead of respawning it.
+             3. Once both brokers failed, we'll destroy them and call the test done.
+
+             */
+
+            const app = new OkanjoApp({}),
+                unknown = new OkanjoBroker(app, "bootstrap_unknown", { workerCount: 1 }),
+                broken = new OkanjoBroker(app, "bootstrap_broken", { workerCount: 1 });
+
+            const state = {
+                startupFailures: [],
+                reports: [],
+                failed: 0
+            };
+
+            app.report = function(err) {
+                state.reports.push(err.message);
+            };
+
+            [unknown, broken].forEach((broker) => {
+                broker.on('worker_startup_failed', function(event) {
+                    event.worker.should.be.instanceof(cluster.Worker);
+                    event.error.should.be.instanceof(Error);
+                    state.startupFailures.push(broker.type);
+
+                    if (broker === unknown) {
+                        event.error.message.should.match(/No worker registered for worker type bootstrap_unknown \(registered: bootstrap, bootstrap_broken\)/);
+                    } else {
+                        event.error.code.should.be.exactly('MODULE_NOT_FOUND');
+                    }
+                });
+
+                broker.on('broker_failed', function(event) {
+                    event.history.length.should.be.exactly(1);
+                    event.history[0].code.should.be.exactly(1);
+                    event.history[0].error.should.be.instanceof(Error);
+                    broker.failed.should.be.exactly(true);
+                    broker.getStatus().workers.should.be.exactly(0);
+
+                    if (++state.failed < 2) return;
+
+                    state.startupFailures.sort().should.be.eql(['bootstrap_broken', 'bootstrap_unknown']);
+
+                    // Only the failures get reported, not each death
+                    state.reports.length.should.be.exactly(2);
+                    state.reports.forEach((message) => message.should.match(/broker failed: worker id=\d+ failed to start/));
+
+                    Promise.all([unknown.destroy(), broken.destroy()]).then(() => done()).catch(done);
+                });
+            });
+        });
+
+        it('should respawn bootstrapped workers whose constructor throws', function(done) {
+
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a broker whose registered worker class throws when constructed.
+             2. That's not a startup failure, so the worker should crash and get respawned as usual.
+             3. Once it crashes often enough to trip the restart intensity, we'll destroy the broker and call the test done.
+
+             */
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "bootstrap_throws", {
+                    workerCount: 1,
+                    exec: path.join(__dirname, 'fixtures', 'throwing-worker.js'),
+                    restartIntensity: { maxRestarts: 1, period: 10000 }
+                });
+
+            const state = { deaths: 0 };
+
+            app.report = function() {};
+
+            broker.on('worker_startup_failed', function() {
+                throw new Error('Constructor errors should not count as startup failures');
+            });
+
+            broker.on('worker_death', function(event) {
+                event.code.should.be.exactly(1);
+                state.deaths++;
+            });
+
+            broker.on('broker_failed', function(event) {
+                state.deaths.should.be.exactly(2);
+                event.history.length.should.be.exactly(2);
+                event.history.forEach((death) => should(death.error).be.undefined());
+
+                broker.destroy().then(done).catch(done);
+            });
+        });
+
+        it('should run workers in threads', function(done) {
+
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a broker whose workers run in threads instead of processes, and wait for them to get ready.
+             2. We'll ask each one who they are, and check their ops made it back.
+             3. We'll crash one of them, and wait for it to get respawned.
+             4. We'll hang one of them, then recycle the workers, and the hung one should get terminated.
+             5. Once the workers are replaced, we'll destroy the broker and call the test done.
+
+             */
+
+            this.timeout(10000);
+
+            const app = new OkanjoApp({});
+
+            should(() => new OkanjoBroker(app, 'threaded', { mode: 'fiber' })).throw(/Unknown worker mode fiber/);
+            should(() => new OkanjoBroker(app, 'threaded', { backend: {} })).throw(/Worker backend must have a fork function/);
+
+            const broker = new OkanjoBroker(app, "threaded", {
+                mode: 'thread',
+                workerCount: 2,
+                waitForReady: true,
+                exec: path.join(__dirname, 'fixtures', 'thread-worker.js'),
+                execArgv: ['--max-old-space-size=64'],
+                env: { region: 'eu-west' },
+                shutdown: { gracePeriod: 100, killTimeout: 100 }
+            });
+
+            broker.mode.should.be.exactly('thread');
+            broker.backend.should.be.instanceof(OkanjoBroker.ThreadBackend);
+
+            const state = {
+                deaths: [],
+                terminated: [],
+                ended: []
+            };
+
+            broker.on('worker_death', function(event) {
+                event.worker.should.be.instanceof(OkanjoBroker.ThreadBackend.ThreadWorker);
+                state.deaths.push(event);
+            });
+
+            broker.on('worker_terminated', function(event) {
+                state.terminated.push(event.id);
+            });
+
+            broker.on('worker_ended', function(event) {
+                state.ended.push(event);
+            });
+
+            const ids = () => broker._workerIds.threaded.slice();
+
+            broker.waitForWorkers()
+                .then(() => broker.gather('whoami'))
+                .then((results) => {
+                    Object.keys(results).length.should.be.exactly(2);
+                    Object.keys(results).forEach((id) => {
+                        results[id].result.should.be.eql({ threadId: parseInt(id), isMainThread: false, workerType: 'threaded', region: 'eu-west', maxOldGenerationSizeMb: 64 });
+
+                        // Threads share the master's process, so there's no pid to signal
+                        should(broker._workerState[id].worker.process.pid).be.undefined();
+                    });
+
+                    // Give the ops reporters a moment
+                    return new Promise((resolve) => setTimeout(resolve, 200));
+                })
+                .then(() => broker.getOpsSummary())
+                .then((summary) => {
+                    summary.workers.should.be.exactly(2);
+
+                    // Exiting only ends the thread, and it gets replaced like a process would
+                    state.crashed = ids()[0];
+                    return broker.request(state.crashed, 'crash').then(() => {
+                        throw new Error('Should not have resolved');
+                    }, (err) => {
+                        err.message.should.match(/exited before responding to crash/);
+                    });
+                })
+                .then(() => broker.waitForWorkers())
+                .then(() => {
+                    state.deaths.length.should.be.exactly(1);
+                    state.deaths[0].id.should.be.exactly(state.crashed);
+                    state.deaths[0].code.should.be.exactly(3);
+                    ids().should.not.containEql(state.crashed);
+                    ids().length.should.be.exactly(2);
+
+                    state.hung = ids()[0];
+                    return broker.request(state.hung, 'hang');
+                })
+                .then(() => {
+                    state.before = ids();
+                    return broker.recycleWorkers({ rolling: false });
+                })
+                .then(() => {
+                    // Threads can't be signalled, so the hung one was terminated once its grace period ran out
+                    state.terminated.should.be.eql([state.hung]);
+                    state.ended.map((event) => event.id).sort().should.be.eql(state.before.sort());
+                    state.ended.filter((event) => event.id === state.hung)[0].signal.should.be.exactly('SIGTERM');
+                    state.deaths.length.should.be.exactly(1);
+
+                    ids().length.should.be.exactly(2);
+                    ids().forEach((id) => state.before.should.not.containEql(id));
+
+                    return broker.destroy();
+                })
+                .then(() => {
+                    broker.getStatus().workers.should.be.exactly(0);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should run workers as child processes', function(done) {
+
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a broker whose workers are forked child processes instead of cluster workers, and wait for them to get ready.
+             2. We'll ask each one who they are.
+             3. We'll crash one of them, and wait for it to get respawned.
+             4. We'll hang one of them, then recycle the workers, and the hung one should get terminated, then killed.
+             5. Once the workers are replaced, we'll destroy the broker and call the test done.
+
+             */
+
+            this.timeout(10000);
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "forked", {
+                    mode: 'process',
+                    workerCount: 2,
+                    waitForReady: true,
+                    exec: path.join(__dirname, 'fixtures', 'process-worker.js'),
+                    shutdown: { gracePeriod: 100, killTimeout: 100 }
+                });
+
+            broker.backend.should.be.instanceof(OkanjoBroker.ProcessBackend);
+
+            const state = {
+                online: [],
+                deaths: [],
+                stopping: [],
+                terminated: [],
+                killed: [],
+                ended: []
+            };
+
+            // Every event gets the same kind of worker handle
+            const track = (list) => (event) => {
+                event.worker.should.be.instanceof(OkanjoBroker.ProcessBackend.ProcessWorker);
+                event.worker.process.should.be.instanceof(childProcess.ChildProcess);
+                list.push(event);
+            };
+            broker.on('worker_online', track(state.online));
+            broker.on('worker_death', track(state.deaths));
+            broker.on('worker_stopping', track(state.stopping));
+            broker.on('worker_terminated', track(state.terminated));
+            broker.on('worker_killed', track(state.killed));
+            broker.on('worker_ended', track(state.ended));
+
+            const ids = () => broker._workerIds.forked.slice();
+
+            broker.waitForWorkers()
+                .then(() => broker.gather('whoami'))
+                .then((results) => {
+                    state.online.length.should.be.exactly(2);
+                    Object.keys(results).length.should.be.exactly(2);
+                    Object.keys(results).forEach((id) => {
+                        const result = results[id].result;
+                        result.pid.should.be.exactly(broker._workerState[id].worker.process.pid);
+                        result.ppid.should.be.exactly(process.pid);
+                        result.isClusterWorker.should.be.exactly(false);
+                        result.workerType.should.be.exactly('forked');
+                        result.workerMode.should.be.exactly('process');
+                    });
+
+                    // Crashed processes get replaced like cluster workers
+                    state.crashed = ids()[0];
+                    return broker.request(state.crashed, 'crash').then(() => {
+                        throw new Error('Should not have resolved');
+                    }, (err) => {
+                        err.message.should.match(/exited before responding to crash/);
+                    });
+                })
+                .then(() => broker.waitForWorkers())
+                .then(() => {
+                    state.deaths.length.should.be.exactly(1);
+                    state.deaths[0].id.should.be.exactly(state.crashed);
+                    state.deaths[0].code.should.be.exactly(3);
+                    ids().should.not.containEql(state.crashed);
+                    ids().length.should.be.exactly(2);
+
+                    state.hung = ids()[0];
+                    return broker.request(state.hung, 'hang');
+                })
+                .then(() => {
+                    state.before = ids();
+                    return broker.recycleWorkers({ rolling: false });
+                })
+                .then(() => {
+                    // The hung one ignored being told to go, and being terminated, so it was killed
+                    state.stopping.map((event) => event.id).sort().should.be.eql(state.before.sort());
+                    state.terminated.map((event) => event.id).should.be.eql([state.hung]);
+                    state.killed.map((event) => event.id).should.be.eql([state.hung]);
+                    state.ended.map((event) => event.id).sort().should.be.eql(state.before.sort());
+                    state.ended.filter((event) => event.id === state.hung)[0].signal.should.be.exactly('SIGKILL');
+                    state.deaths.length.should.be.exactly(1);
+
+                    ids().length.should.be.exactly(2);
+                    ids().forEach((id) => state.before.should.not.containEql(id));
+
+                    return broker.destroy();
+                })
+                .then(() => {
+                    broker.getStatus().workers.should.be.exactly(0);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should run a broker inside a cluster worker', function(done) {
+
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a broker whose worker runs a broker of its own, with forked child processes.
+             2. The worker will tell us what its own worker said, and that it couldn't have started cluster workers.
+             3. Once we hear back, we'll destroy the broker and call the test done.
+
+             */
+
+            this.timeout(10000);
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "nested", {});
+
+            broker.on('worker_death', function() {
+                throw new Error('Worker should not have died unless we told it to.');
+            });
+
+            broker.on('worker_message', function(msg, worker) {
+                msg.clusterError.should.match(/can only be started from the cluster master/);
+
+                const results = Object.keys(msg.nested).map((id) => msg.nested[id].result);
+                results.length.should.be.exactly(1);
+                results[0].ppid.should.be.exactly(worker.process.pid);
+                results[0].isClusterWorker.should.be.exactly(false);
+                results[0].workerType.should.be.exactly('nested_child');
+
+                broker.destroy().then(done).catch(done);
+            });
+        });
+
+        it('should stop process workers when their broker goes away', function(done) {
+
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a broker whose worker runs a broker of its own, with forked child processes.
+             2. Once the worker tells us the pid of its own worker, we'll kill it without giving it a chance to clean up.
+             3. Its orphaned worker should notice and exit on its own, then we'll destroy the broker and call the test done.
+
+             */
+
+            this.timeout(10000);
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "orphan", {
+                    // Don't bring the killed worker back before we're done
+                    respawnBackoff: { delay: 60000 }
+                });
+
+            app.report = function() {};
+
+            const isAlive = (pid) => {
+                try {
+                    process.kill(pid, 0);
+                    return true;
+                } catch (err) {
+                    return false;
+                }
+            };
+
+            broker.on('worker_message', function(msg, worker) {
+                msg.pids.length.should.be.exactly(1);
+                const pid = msg.pids[0];
+                isAlive(pid).should.be.exactly(true);
+
+                worker.process.kill('SIGKILL');
+
+                const started = Date.now();
+                const check = setInterval(() => {
+                    if (isAlive(pid) && Date.now() - started < 5000) return;
+                    clearInterval(check);
+
+                    isAlive(pid).should.be.exactly(false);
+                    broker.destroy().then(done).catch(done);
+                }, 50);
+            });
+        });
+
+        it('should let process workers shut down cleanly when let go while booting', function(done) {
+
+            this.timeout(10000);
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "forked_busy", {
+                    mode: 'process',
+                    exec: path.join(__dirname, 'fixtures', 'process-worker.js')
+                });
+
+            broker.once('worker_online', (event) => {
+                // It's still booting, so it only gets around to saying it's ready after the channel is gone
+                event.worker.process.once('exit', (code, signal) => {
+                    should(signal).be.exactly(null);
+                    code.should.be.exactly(0);
+                    done();
+                });
+
+                broker.destroy().catch(done);
+            });
+        });
+
         it('should recycle workers when told to do so', function(done) {
 
             /*
@@ -249,148 +833,1338 @@ if (cluster.isMaster) {
                     state.firstWorkerEnded.should.be.exactly(false);
                     state.firstWorkerEnded = true;
 
-                } else if (event.id === state.secondWorkerId+"") {
+                } else if (event.id === state.secondWorkerId+"") {
+
+                    state.firstWorkerEnded.should.be.exactly(true);
+                    state.secondWorkerGotAcknowledgement.should.be.exactly(true);
+                    state.sentSuicide.should.be.exactly(true);
+                    state.secondWorkerEnded.should.be.exactly(false);
+                    state.secondWorkerEnded = true;
+
+                    // We ran through all the states!
+                    done();
+
+                } else {
+                    debug(typeof event.id, typeof state.firstWorkerId, state, event);
+                    throw new Error('Worker ended that we could not identify!');
+                }
+            });
+
+            broker.should.be.an.Object();
+            Object.keys(broker._workerIds).length.should.be.exactly(1);
+            broker._workerIds.recycle.should.be.an.Array();
+
+        });
+
+        it('should await lifecycle operations', function(done) {
+
+            this.timeout(20000);
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "recycle", { workerCount: 2 });
+
+            let oldIds;
+
+            broker.on('worker_death', function() {
+                throw new Error('Worker should not have died unless we told it to.');
+            });
+
+            broker.resumeWorkers()
+                .then(() => {
+                    broker._activeWorkerCount().should.be.exactly(2);
+                    oldIds = broker._workerIds.recycle.slice();
+                    return broker.recycleWorkers();
+                })
+                .then(() => {
+                    broker._workerIds.recycle.length.should.be.exactly(2);
+                    broker._workerIds.recycle.forEach((id) => oldIds.should.not.containEql(id));
+                    broker._activeWorkerCount().should.be.exactly(2);
+                    return broker.drainWorkers();
+                })
+                .then(() => {
+                    broker._workerIds.recycle.length.should.be.exactly(0);
+                    return broker.resumeWorkers();
+                })
+                .then(() => {
+                    broker._activeWorkerCount().should.be.exactly(2);
+                    return broker.drainWorkers();
+                })
+                .then(() => {
+                    broker._workerIds.recycle.length.should.be.exactly(0);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should time out lifecycle operations with pending workers', function(done) {
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "ignoredeath_term", { workerCount: 1 });
+
+            const workerId = broker._workerIds.ignoredeath_term[0];
+            let worker;
+
+            // The cluster forgets about workers once they disconnect, so hang on to it
+            broker.once('worker_stopping', (event) => worker = event.worker);
+
+            broker.on('worker_death', function() {
+                throw new Error('Worker should not have died unless we told it to.');
+            });
+
+            broker.once('worker_message', function(msg) {
+                msg.should.be.exactly('Reporting for duty');
+
+                broker.drainWorkers({ timeout: 100, shutdown: { gracePeriod: 5000 } })
+                    .then(() => {
+                        throw new Error('Should have timed out');
+                    }, (err) => {
+                        err.should.be.an.instanceof(Error);
+                        err.message.should.match(/timed out after 100ms waiting for workers to exit/);
+                        err.message.should.containEql(workerId);
+                        err.pending.length.should.be.exactly(1);
+                        err.pending[0].id.should.be.exactly(workerId);
+                        err.pending[0].stopping.should.be.exactly(true);
+                        err.pending[0].uptime.should.be.a.Number();
+
+                        // Don't wait out the grace period
+                        broker.once('worker_ended', () => done());
+                        worker.process.kill('SIGKILL');
+                    })
+                    .catch(done);
+            });
+        });
+
+        it('should complete a one-shot broker', function(done) {
+
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a one-shot broker, whose workers exit cleanly once they're done.
+             2. The workers should not be respawned, and the broker should complete once they're all done.
+             3. Once the broker is complete, we'll call the test done.
+
+             */
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "oneshot", { workerCount: 2, oneShot: true });
+
+            const state = {
+                ended: 0,
+                completed: false
+            };
+
+            broker.on('worker_death', function() {
+                throw new Error('One-shot workers that exit cleanly did not die');
+            });
+
+            broker.on('worker_ended', function(event) {
+                event.code.should.be.exactly(0);
+                state.ended++;
+            });
+
+            broker.on('broker_completed', function(event) {
+                event.should.be.eql({ type: 'oneshot', workers: 2 });
+                state.ended.should.be.exactly(2);
+                state.completed = true;
+            });
+
+            broker.completed.should.be.exactly(false);
+            broker.waitForCompletion()
+                .then(() => {
+                    state.completed.should.be.exactly(true);
+                    broker.completed.should.be.exactly(true);
+                    broker.getStatus().workers.should.be.exactly(0);
+
+                    // Give it a moment to make sure nothing gets respawned
+                    setTimeout(() => {
+                        broker._workerIds.oneshot.length.should.be.exactly(0);
+                        done();
+                    }, 200);
+                })
+                .catch(done);
+        });
+
+        it('should hold off starting a broker until told to', function(done) {
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "recycle", { workerCount: 1, autoStart: false });
+
+            broker.started.should.be.exactly(false);
+            broker._workerIds.recycle.length.should.be.exactly(0);
+
+            // Until it's started, these only change what it'll start with
+            Promise.all([broker.setWorkerCount(2), broker.recycleWorkers(), broker.reset()])
+                .then(() => {
+                    broker.workerCount.should.be.exactly(2);
+                    broker._workerIds.recycle.length.should.be.exactly(0);
+
+                    setTimeout(() => broker.start(), 50);
+                    return broker.waitForWorkers();
+                })
+                .then(() => {
+                    broker.started.should.be.exactly(true);
+                    broker.getStatus().active.should.be.exactly(2);
+                    broker.getStatus().workers.should.be.exactly(2);
+                    return broker.drainWorkers();
+                })
+                .then(() => done())
+                .catch(done);
+        });
+
+        it('should destroy a broker', function(done) {
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "recycle", { workerCount: 2 });
+
+            broker.on('worker_death', function() {
+                throw new Error('Worker should not have died unless we told it to.');
+            });
+
+            let acks = 0;
+            broker.on('worker_message', function(msg, worker) {
+                msg.should.be.exactly('Reporting for duty');
+                if (++acks < 2) return;
+
+                // These workers never answer requests, so this is left waiting
+                const pending = broker.request(worker.id, 'anything').then(() => {
+                    throw new Error('Should not have resolved');
+                }, (err) => {
+                    err.message.should.match(/destroyed before worker id=\d+ responded to anything/);
+                });
+
+                const growing = broker.setWorkerCount(3).then(() => {
+                    throw new Error('Should not have resolved');
+                }, (err) => {
+                    err.message.should.match(/stopped before reaching 3 workers/);
+                });
+
+                broker.destroy()
+                    .then(() => Promise.all([pending, growing]))
+                    .then(() => {
+                        broker.destroyed.should.be.exactly(true);
+                        broker._workerIds.recycle.length.should.be.exactly(0);
+                        broker._workerState.should.be.eql({});
+                        broker._pendingRequests.size.should.be.exactly(0);
+
+                        (() => broker.handle('nope', () => {})).should.throw(/has been destroyed/);
+                        (() => broker.start()).should.throw(/has been destroyed/);
+
+                        // Methods that return promises reject instead of throwing
+                        return Promise.all(['setWorkerCount', 'resumeWorkers', 'recycleWorkers', 'drainWorkers', 'reset'].map((method) => {
+                            return broker[method](1).then(() => {
+                                throw new Error(method + ' should have failed');
+                            }, (err) => {
+                                err.message.should.match(/has been destroyed/);
+                            });
+                        }));
+                    })
+                    // Destroying again is harmless
+                    .then(() => broker.destroy())
+                    .then(() => broker.request(worker.id, 'anything').then(() => {
+                        throw new Error('Should have failed');
+                    }, (err) => {
+                        err.message.should.match(/has been destroyed/);
+                    }))
+                    .then(() => done())
+                    .catch(done);
+            });
+        });
+
+        it('should reject recycles cut short by destroying the broker', function(done) {
+
+            const app = new OkanjoApp({}),
+                rolling = new OkanjoBroker(app, "recycle", { workerCount: 2 }),
+                bounced = new OkanjoBroker(app, "recycle", { workerCount: 2 });
+
+            // Either way, no workers got replaced, so the recycle shouldn't pass for done
+            Promise.all([rolling, bounced].map((broker) => broker.waitForWorkers()))
+                .then(() => Promise.all([
+                    { broker: rolling, options: { rolling: true, batchSize: 1 } },
+                    { broker: bounced, options: { rolling: false } }
+                ].map((test) => {
+                    const recycled = test.broker.recycleWorkers(test.options).then(() => {
+                        throw new Error('Should not have resolved');
+                    }, (err) => {
+                        err.message.should.match(/recycle broker stopped before workers were replaced/);
+                        test.broker.getStatus().destroyed.should.be.exactly(true);
+                    });
+
+                    return test.broker.destroy().then(() => recycled);
+                })))
+                .then(() => done())
+                .catch(done);
+        });
+
+        it('should kill workers that outlast a destroyed broker', function(done) {
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "ignoredeath_term", { workerCount: 1 });
+
+            let worker;
+            broker.once('worker_stopping', (event) => worker = event.worker);
+
+            broker.once('worker_message', function(msg, ackWorker) {
+                msg.should.be.exactly('Reporting for duty');
+
+                const bindings = broker._workerState[ackWorker.id].listeners;
+                bindings.length.should.be.greaterThan(0);
+
+                broker.destroy({ timeout: 100, shutdown: { gracePeriod: 5000 } })
+                    .then(() => {
+                        throw new Error('Should have timed out');
+                    }, (err) => {
+                        err.message.should.match(/timed out after 100ms waiting for workers to exit/);
+                        broker.destroyed.should.be.exactly(true);
+                        broker._workerIds.ignoredeath_term.length.should.be.exactly(0);
+
+                        // The broker let go of the worker, and pulled the plug on it
+                        bindings.forEach((binding) => worker.listeners(binding.event).should.not.containEql(binding.listener));
+                        worker.process.once('exit', (code, signal) => {
+                            signal.should.be.exactly('SIGKILL');
+                            done();
+                        });
+                    })
+                    .catch(done);
+            });
+        });
+
+        it('should do a rolling recycle of workers', function(done) {
+
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a broker with two workers, and wait to hear from both.
+             2. When they're alive, we'll start a rolling recycle, one worker at a time.
+             3. Every time a worker ends, the pool should still have two workers online.
+             4. Once the rotation completes, the pool should be all new workers, so we'll drain it.
+             5. Once we confirmed the workers are dead, we'll call the test done.
+
+             */
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "rolling", { workerCount: 2 });
+
+            const state = {
+                originalWorkerIds: [],
+                acks: 0,
+                sentRecycle: false,
+                recycled: false,
+                endedWorkers: 0
+            };
+
+            broker.on('worker_message', function(msg, worker) {
+                if (msg === "Reporting for duty") {
+                    state.acks++;
+
+                    if (state.acks === 2) {
+                        state.originalWorkerIds = broker._workerIds.rolling.slice();
+                        state.sentRecycle.should.be.exactly(false);
+                        state.sentRecycle = true;
+
+                        broker.recycleWorkers({ rolling: true, batchSize: 1 }).then(() => {
+                            state.recycled = true;
+                            broker._workerIds.rolling.length.should.be.exactly(2);
+                            broker._workerIds.rolling.forEach((id) => state.originalWorkerIds.should.not.containEql(id));
+                            broker.drainWorkers();
+                        }).catch(done);
+                    }
+                } else {
+                    debug('got message from worker', msg, worker);
+                    throw new Error('Should not have received this message from worker');
+                }
+            });
+
+            broker.on('worker_death', function(event) {
+                event.should.be.an.Object();
+                throw new Error('Worker should not have died unless we told it to.');
+            });
+
+            broker.on('worker_ended', function(event) {
+                event.should.be.an.Object();
+                state.endedWorkers++;
+
+                if (!state.recycled) {
+                    // Capacity should never dip during the rotation
+                    state.originalWorkerIds.should.containEql(event.id);
+                    broker._activeWorkerCount().should.be.exactly(2);
+                } else if (state.endedWorkers === 4) {
+                    // We ran through all the states!
+                    done();
+                }
+            });
+
+            broker.should.be.an.Object();
+            broker._workerIds.rolling.should.be.an.Array();
+        });
+
+        it('should reject invalid worker counts', function() {
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "basic", { workerCount: 0 });
+
+            return Promise.all([-1, 1.5, '2'].map((count) => {
+                return broker.setWorkerCount(count).then(() => {
+                    throw new Error('Should have rejected ' + count);
+                }, (err) => {
+                    err.message.should.match(/non-negative integer/);
+                });
+            }))
+                .then(() => {
+                    broker.workerCount.should.be.exactly(0);
+                    return broker.setWorkerCount(0);
+                });
+        });
+
+        it('should scale down around workers that are already stopping', function(done) {
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "ignoredeath_term", {
+                    workerCount: 2,
+                    shutdown: { gracePeriod: 200, killTimeout: 100 }
+                });
+
+            app.report = function() {
+                done(new Error('Nothing should have been reported'));
+            };
+
+            const stopping = [];
+            broker.on('worker_stopping', (event) => stopping.push(event.id));
+
+            broker.waitForWorkers()
+                .then(() => {
+                    // Bounce the newest worker like max age would, and it takes its time to go
+                    const ids = broker._workerIds.ignoredeath_term.slice();
+                    broker._bounceWorker(ids[1]);
+
+                    // It's on its way out anyway, so it's the one to drop, without bouncing it again or touching the other
+                    return broker.setWorkerCount(1).then(() => {
+                        stopping.should.be.eql([ids[1]]);
+                        broker._workerIds.ignoredeath_term.should.be.eql([ids[0]]);
+                    });
+                })
+                .then(() => broker.destroy({ timeout: 100 }).catch(() => {}))
+                .then(() => done())
+                .catch(done);
+        });
+
+        it('should scale workers up and down at runtime', function(done) {
+
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a broker with one worker, and wait to hear from it.
+             2. When it's alive, we'll scale up to three workers, and wait for the pool to fill.
+             3. Then we'll scale back down to one worker, which should retire the surplus without respawning.
+             4. Once scaled down, we'll drain the pool, and when the last worker is dead, we'll call the test done.
+
+             */
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "scale", { workerCount: 1 });
+
+            const state = {
+                acks: 0,
+                scaledUp: false,
+                scaledDown: false,
+                endedWorkers: 0
+            };
+
+            broker.on('worker_message', function(msg, worker) {
+                if (msg === "Reporting for duty") {
+                    state.acks++;
+
+                    if (state.acks === 1) {
+                        broker.setWorkerCount(3).then(() => {
+                            state.scaledUp = true;
+                            broker.workerCount.should.be.exactly(3);
+                            broker._workerIds.scale.length.should.be.exactly(3);
+                            broker._activeWorkerCount().should.be.exactly(3);
+                            state.endedWorkers.should.be.exactly(0);
+
+                            return broker.setWorkerCount(1);
+                        }).then(() => {
+                            state.scaledDown = true;
+                            broker.workerCount.should.be.exactly(1);
+                            broker._workerIds.scale.length.should.be.exactly(1);
+                            state.endedWorkers.should.be.exactly(2);
+
+                            broker.drainWorkers();
+                        }).catch(done);
+                    }
+                } else {
+                    debug('got message from worker', msg, worker);
+                    throw new Error('Should not have received this message from worker');
+                }
+            });
+
+            broker.on('worker_death', function(event) {
+                event.should.be.an.Object();
+                throw new Error('Worker should not have died unless we told it to.');
+            });
+
+            broker.on('worker_ended', function(event) {
+                event.should.be.an.Object();
+                state.scaledUp.should.be.exactly(true);
+                state.endedWorkers++;
+
+                if (state.endedWorkers === 3) {
+                    state.scaledDown.should.be.exactly(true);
+
+                    // We ran through all the states!
+                    done();
+                }
+            });
+
+            broker.should.be.an.Object();
+            broker._workerIds.scale.should.be.an.Array();
+        });
+
+        it('should autoscale workers based on ops metrics', function(done) {
+
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start an autoscaling broker with one worker, which reports a load over the threshold.
+             2. The broker should scale up to two workers.
+             3. The new worker also reports a high load, but the cooldown should keep the broker from scaling again.
+             4. Once both workers are alive, we'll drain the pool, and when they're dead, we'll call the test done.
+
+             */
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "busy", {
+                    workerCount: 1,
+                    autoscale: {
+                        min: 1,
+                        max: 3,
+                        metric: (msg) => msg.data.load,
+                        scaleUpThreshold: 5,
+                        scaleDownThreshold: 1,
+                        scaleUpCooldown: 60000
+                    }
+                });
+
+            const state = {
+                acks: 0,
+                scaledUp: 0,
+                opsMessages: 0,
+                endedWorkers: 0
+            };
+
+            broker.on('scaled_up', function(event) {
+                event.should.be.an.Object();
+                event.type.should.be.exactly('busy');
+                event.from.should.be.exactly(1);
+                event.to.should.be.exactly(2);
+                event.value.should.be.exactly(10);
+                event.threshold.should.be.exactly(5);
+                event.reason.should.match(/above threshold/);
+                state.scaledUp++;
+            });
+
+            broker.on('scaled_down', function() {
+                throw new Error('Should not have scaled down');
+            });
+
+            broker.on('worker_ops', function(msg) {
+                msg.data.load.should.be.exactly(10);
+                state.opsMessages++;
+            });
+
+            broker.on('worker_message', function(msg, worker) {
+                if (msg === "Reporting for duty") {
+                    state.acks++;
+
+                    if (state.acks === 2) {
+                        state.opsMessages.should.be.exactly(2);
+                        state.scaledUp.should.be.exactly(1);
+                        broker.workerCount.should.be.exactly(2);
+                        setTimeout(broker.drainWorkers.bind(broker), 10);
+                    }
+                } else {
+                    debug('got message from worker', msg, worker);
+                    throw new Error('Should not have received this message from worker');
+                }
+            });
+
+            broker.on('worker_death', function(event) {
+                event.should.be.an.Object();
+                throw new Error('Worker should not have died unless we told it to.');
+            });
+
+            broker.on('worker_ended', function(event) {
+                event.should.be.an.Object();
+                state.endedWorkers++;
+
+                if (state.endedWorkers === 2) {
+                    // We ran through all the states!
+                    done();
+                }
+            });
+
+            broker.should.be.an.Object();
+            broker.autoscale.should.be.an.Object();
+        });
+
+        it('should reject autoscale without a metric', function() {
+            const app = new OkanjoApp({});
+            (() => new OkanjoBroker(app, "busy", { workerCount: 0, autoscale: {} })).should.throw(/metric function/);
+            (() => new OkanjoBroker(app, "busy", { workerCount: 0, autoscale: { metric: () => 0, min: 2, max: 1 } })).should.throw(/cannot be greater/);
+        });
+
+        it('should reject a memory limit without limits', function() {
+            const app = new OkanjoApp({});
+            (() => new OkanjoBroker(app, "busy", { workerCount: 0, memoryLimit: {} })).should.throw(/rss or heapUsed/);
+            (() => new OkanjoBroker(app, "busy", { workerCount: 0, memoryLimit: { rss: 'lots' } })).should.throw(/rss or heapUsed/);
+        });
+
+        it('should recycle a worker that uses too much memory', function(done) {
+
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a broker with a tiny memory limit, and a worker that reports its memory in ops.
+             2. The broker should bring up a replacement, then gracefully recycle the bloated worker.
+             3. Once the bloated worker is gone, we'll drain the pool.
+             4. Once we confirmed the replacement is dead, we'll call the test done.
+
+             */
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "busy", { workerCount: 1, memoryLimit: { rss: 50, cooldown: 0 } });
+
+            const state = {
+                firstWorkerId: broker._workerIds.busy[0],
+                recycled: false,
+                firstWorkerEnded: false
+            };
+
+            app.report = function() {
+                throw new Error('Recycling should not be reported');
+            };
+
+            broker.on('worker_recycled', function(event) {
+                event.should.be.an.Object();
+                event.id.should.be.exactly(state.firstWorkerId);
+                event.worker.should.be.instanceof(cluster.Worker);
+                event.reason.should.be.exactly('memory_rss');
+                event.value.should.be.exactly(event.worker.id * 100);
+                event.limit.should.be.exactly(50);
+                state.recycled.should.be.exactly(false);
+                state.recycled = true;
+
+                // The replacement is up before the bloated worker goes
+                broker._workerIds.busy.length.should.be.exactly(2);
+
+                // The replacement is bloated too, so stop watching before it gets recycled as well
+                broker.memoryLimit = null;
+            });
+
+            broker.on('worker_ended', function(event) {
+                event.should.be.an.Object();
+                if (!state.firstWorkerEnded) {
+                    event.id.should.be.exactly(state.firstWorkerId);
+                    state.recycled.should.be.exactly(true);
+                    state.firstWorkerEnded = true;
+                    broker._workerIds.busy.length.should.be.exactly(1);
+                    setTimeout(broker.drainWorkers.bind(broker), 10);
+                } else {
+                    event.id.should.not.be.exactly(state.firstWorkerId);
+                    done();
+                }
+            });
+
+            broker.on('worker_death', function() {
+                throw new Error('Worker should not have died unless we told it to.');
+            });
+        });
+
+        it('should recycle a worker when it reaches its max age', function(done) {
+
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a broker with a short max age, and give each worker some jitter.
+             2. Once the worker gets old, the broker should bring up a replacement, then gracefully recycle it.
+             3. Once the old worker is gone, we'll drain the pool.
+             4. Once we confirmed the replacement is dead, we'll call the test done.
+
+             */
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "recycle", { workerCount: 1, maxAge: 500, maxAgeJitter: 0.5 });
+
+            const state = {
+                firstWorkerId: broker._workerIds.recycle[0],
+                recycled: false,
+                firstWorkerEnded: false
+            };
+
+            broker._workerState[state.firstWorkerId].maxAgeTimer.should.be.ok();
+
+            broker.on('worker_recycled', function(event) {
+                event.should.be.an.Object();
+                event.id.should.be.exactly(state.firstWorkerId);
+                event.worker.should.be.instanceof(cluster.Worker);
+                event.reason.should.be.exactly('max_age');
+                event.limit.should.be.within(250, 750);
+                event.value.should.be.greaterThanOrEqual(event.limit);
+                state.recycled.should.be.exactly(false);
+                state.recycled = true;
+            });
+
+            broker.on('worker_ended', function(event) {
+                event.should.be.an.Object();
+                if (!state.firstWorkerEnded) {
+                    event.id.should.be.exactly(state.firstWorkerId);
+                    state.recycled.should.be.exactly(true);
+                    state.firstWorkerEnded = true;
+                    broker._workerIds.recycle.length.should.be.exactly(1);
+                    broker.drainWorkers();
+                } else {
+                    event.id.should.not.be.exactly(state.firstWorkerId);
+                    done();
+                }
+            });
+
+            broker.on('worker_death', function() {
+                throw new Error('Worker should not have died unless we told it to.');
+            });
+        });
+
+        it('should restart worker after crash', function(done) {
+
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a worker, and wait to hear from it.
+             2. When we get word it's alive, then we'll tell it to crash
+             3. We'll confirm the worker crash event happened, and wait for the replacement
+             4. Once replaced, we'll drain the pool.
+             5. Once we confirmed the worker is dead, we'll call the test done.
+
+             */
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "recycle", {});
+
+            const state = {
+                firstWorkerId: null,
+                firstWorkerGotAcknowledgement: false,
+                firstWorkerSentCrash: false,
+                firstWorkerCrashed: false,
+                firstWorkerEnded: false,
+
+                secondWorkerId: null,
+                secondWorkerGotAcknowledgement: false,
+                sentSuicide: false,
+                secondWorkerEnded: false
+            };
+
+            broker.on('worker_message', function(msg, worker) {
+                if (msg === "Reporting for duty") {
+
+                    if (state.firstWorkerId === null) {
+                        should(state.secondWorkerId).be.equal(null);
+                        state.firstWorkerId = worker.id;
+
+                        state.firstWorkerGotAcknowledgement.should.be.exactly(false);
+                        state.firstWorkerGotAcknowledgement = true;
+
+                        // Good to go, recycle it
+                        state.firstWorkerSentCrash.should.be.exactly(false);
+                        state.firstWorkerSentCrash = true;
+
+                        setTimeout(() => worker.send('crash'), 10);
+                        //worker.send('crash');
+
+                    } else if (state.secondWorkerId === null) {
+                        state.secondWorkerId = worker.id;
+
+
+                        state.firstWorkerCrashed.should.be.exactly(true);
+
+                        state.secondWorkerGotAcknowledgement.should.be.exactly(false);
+                        state.secondWorkerGotAcknowledgement = true;
+
+                        // Good to go, drain it
+                        state.sentSuicide.should.be.exactly(false);
+                        state.sentSuicide = true;
+                        setTimeout(broker.drainWorkers.bind(broker), 10);
+
+                    } else {
+                        throw new Error('Too many worker acks!');
+                    }
+
+                } else {
+                    debug('got message from worker', msg, worker);
+                    throw new Error('Should not have received this message from worker');
+                }
+            });
+
+            broker.on('worker_death', function(event) {
+                event.should.be.an.Object();
+
+                if (event.id === state.firstWorkerId+"") {
+
+                    state.firstWorkerCrashed.should.be.exactly(false);
+                    state.firstWorkerCrashed = true;
+
+                    state.firstWorkerEnded.should.be.exactly(false);
+                    state.firstWorkerEnded = true;
+                } else {
+                    throw new Error('Worker should not have died unless we told it to.');
+                }
+
+            });
+
+            broker.on('worker_ended', function(event) {
+                event.should.be.an.Object();
+                event.id.should.be.ok();
+
+                if (event.id === state.firstWorkerId+"") {
+
+                    state.firstWorkerGotAcknowledgement.should.be.exactly(true);
+                    state.sentRecycle.should.be.exactly(true);
+                    state.firstWorkerEnded.should.be.exactly(false);
+                    state.firstWorkerEnded = true;
+
+                } else if (event.id === state.secondWorkerId+"") {
+
+                    state.firstWorkerEnded.should.be.exactly(true);
+                    state.secondWorkerGotAcknowledgement.should.be.exactly(true);
+                    state.sentSuicide.should.be.exactly(true);
+                    state.secondWorkerEnded.should.be.exactly(false);
+                    state.secondWorkerEnded = true;
+
+                    // We ran through all the states!
+                    done();
+
+                } else {
+                    debug(typeof event.id, typeof state.firstWorkerId, state, event);
+                    throw new Error('Worker ended that we could not identify!');
+                }
+            });
+
+            broker.should.be.an.Object();
+            Object.keys(broker._workerIds).length.should.be.exactly(1);
+            broker._workerIds.recycle.should.be.an.Array();
+
+        });
+
+        it('should back off respawning workers that keep crashing', function(done) {
+
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a broker with respawn backoff, whose workers die on boot.
+             2. Each time a worker dies, the respawn delay should double.
+             3. After a couple rounds, we'll drain the broker, which should cancel the pending respawn.
+
+             */
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "crashloop", {
+                    workerCount: 1,
+                    respawnBackoff: { delay: 100, factor: 2, jitter: 0, maxDelay: 1000 }
+                });
+
+            const state = {
+                deaths: 0,
+                delays: []
+            };
+
+            app.report = function(err) {
+                err.message.should.match(/died/);
+            };
+
+            broker.on('worker_message', function(msg, worker) {
+                debug('got message from worker', msg, worker);
+                throw new Error('Should not have received this message from worker');
+            });
+
+            broker.on('worker_death', function(event) {
+                event.should.be.an.Object();
+                event.code.should.be.exactly(1);
+                state.deaths++;
+            });
+
+            broker.on('worker_respawn_scheduled', function(event) {
+                event.should.be.an.Object();
+                event.id.should.be.ok();
+                event.code.should.be.exactly(1);
+                event.attempt.should.be.exactly(state.deaths);
+                state.delays.push(event.delay);
+
+                broker._respawnTimers.size.should.be.exactly(1);
+
+                if (state.delays.length === 3) {
+                    state.delays.should.be.eql([100, 200, 400]);
+
+                    // Draining should stop the pending respawn
+                    broker.drainWorkers();
+                    broker._respawnTimers.size.should.be.exactly(0);
+                    broker._workerIds.crashloop.length.should.be.exactly(0);
+
+                    // We ran through all the states!
+                    done();
+                }
+            });
+
+            broker.should.be.an.Object();
+            broker._workerIds.crashloop.should.be.an.Array();
+        });
+
+        it('should fail the broker when workers die too often', function(done) {
+
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a broker with a restart intensity limit, whose workers die on boot.
+             2. Once too many workers died, the broker should fail, report once, and stop respawning.
+             3. We'll reset the broker, which should clear the failure and spawn a new worker.
+             4. We'll drain the new worker, and once it's dead, we'll call the test done.
+
+             */
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "crashloop", {
+                    workerCount: 1,
+                    restartIntensity: { maxRestarts: 2, period: 10000 }
+                });
+
+            const state = {
+                deaths: 0,
+                deathReports: 0,
+                failureReports: 0,
+                failed: false,
+                reset: false
+            };
+
+            app.report = function(err) {
+                if (/broker failed/.test(err.message)) {
+                    state.failureReports++;
+                } else {
+                    err.message.should.match(/died/);
+                    state.deathReports++;
+                }
+            };
+
+            broker.on('worker_message', function(msg, worker) {
+                debug('got message from worker', msg, worker);
+                throw new Error('Should not have received this message from worker');
+            });
+
+            broker.on('worker_death', function(event) {
+                event.should.be.an.Object();
+                state.failed.should.be.exactly(false);
+                state.deaths++;
+            });
+
+            broker.on('broker_failed', function(event) {
+                event.should.be.an.Object();
+                event.type.should.be.exactly('crashloop');
+                event.history.should.be.an.Array();
+                event.history.length.should.be.exactly(3);
+                event.history[0].code.should.be.exactly(1);
+
+                state.deaths.should.be.exactly(3);
+                state.deathReports.should.be.exactly(2);
+                state.failureReports.should.be.exactly(1);
+                state.failed = true;
+                broker.failed.should.be.exactly(true);
+
+                // Give the exit handler a chance to finish up before checking it didn't respawn
+                setTimeout(() => {
+                    broker._workerIds.crashloop.length.should.be.exactly(0);
+                    broker._respawnTimers.size.should.be.exactly(0);
+
+                    // Reset and drain the new worker
+                    state.reset = true;
+                    broker.reset();
+                    broker.failed.should.be.exactly(false);
+                    broker._deathHistory.length.should.be.exactly(0);
+                    broker._workerIds.crashloop.length.should.be.exactly(1);
+                    broker.drainWorkers();
+                }, 10);
+            });
+
+            broker.on('worker_ended', function(event) {
+                event.should.be.an.Object();
+                state.reset.should.be.exactly(true);
+
+                // We ran through all the states!
+                done();
+            });
+
+            broker.should.be.an.Object();
+            broker._workerIds.crashloop.should.be.an.Array();
+        });
+
+        it('should match watched files with globs', function() {
+            const app = new OkanjoApp({});
+            const toRegExp = OkanjoBroker.FileWatcher.globToRegExp;
+
+            toRegExp('/app/**/*.js').test('/app/index.js').should.be.exactly(true);
+            toRegExp('/app/**/*.js').test('/app/lib/deep/util.js').should.be.exactly(true);
+            toRegExp('/app/**/*.js').test('/app/index.json').should.be.exactly(false);
+            toRegExp('/app/**/*.js').test('/other/index.js').should.be.exactly(false);
+            toRegExp('/app/*.{js,json}').test('/app/package.json').should.be.exactly(true);
+            toRegExp('/app/*.{js,json}').test('/app/lib/util.js').should.be.exactly(false);
+            toRegExp('/app/file?.[jt]s').test('/app/file1.ts').should.be.exactly(true);
+            toRegExp('/app/file?.[jt]s').test('/app/file10.js').should.be.exactly(false);
+            toRegExp('**/node_modules/**').test('/app/node_modules/').should.be.exactly(true);
+
+            should(() => new OkanjoBroker(app, 'basic', { watch: { debounce: 10 } })).throw(/Watch requires paths/);
+        });
+
+        it('should forget startup crashes once a watched worker is stable', function(done) {
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "recycle", {
+                    workerCount: 1,
+                    watch: { paths: __dirname, maxCrashes: 2, stablePeriod: 200 }
+                });
+
+            // A crash on startup, long before the next one, shouldn't add up to a crash loop
+            broker._trackCrashLoop({ id: 'early', code: 1, signal: null, uptime: 10 }).should.be.exactly(false);
+            broker._crashLoop.length.should.be.exactly(1);
+
+            setTimeout(() => {
+                broker._crashLoop.length.should.be.exactly(0);
+                broker._trackCrashLoop({ id: 'late', code: 1, signal: null, uptime: 10 }).should.be.exactly(false);
+                broker.destroy().then(done).catch(done);
+            }, 300);
+        });
+
+        it('should watch files when a broker is started by resuming it', function(done) {
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "recycle", {
+                    workerCount: 1,
+                    autoStart: false,
+                    watch: { paths: __dirname }
+                });
+
+            broker._watcher._watchers.size.should.be.exactly(0);
+
+            broker.resumeWorkers()
+                .then(() => {
+                    // Starting it afterwards has nothing left to do
+                    broker.start();
+                    broker.started.should.be.exactly(true);
+                    broker._watcher._watchers.size.should.be.greaterThan(0);
+                    broker._workerIds.recycle.length.should.be.exactly(1);
+                    return broker.destroy();
+                })
+                .then(() => done())
+                .catch(done);
+        });
+
+        it('should reload workers when watched files change', function(done) {
+
+            this.timeout(20000);
+
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a broker that watches the js files in a temp dir, and wait for both workers to report in.
+             2. Then we'll break the code, which should trigger a rolling recycle whose replacements keep crashing.
+             3. Once they crash enough, the broker should fail and stop respawning them, keeping the old worker around.
+             4. Then we'll fix the code, which should bring the workforce back with the new code.
+             5. Once the old workers are gone, we'll destroy the broker and call the test done.
+
+             */
+
+            // Watch paths that don't exist fail before any workers are started
+            const workers = Object.keys(cluster.workers).length;
+            should(() => new OkanjoBroker(new OkanjoApp({}), "watched", { watch: { paths: path.join(WATCH_DIR, 'missing', 'app.js') } })).throw(/cannot watch/);
+            Object.keys(cluster.workers).length.should.be.exactly(workers);
+
+            removeDir(WATCH_DIR);
+            fs.mkdirSync(path.join(WATCH_DIR, 'lib'), { recursive: true });
+            fs.mkdirSync(path.join(WATCH_DIR, 'ignored'));
+            fs.writeFileSync(path.join(WATCH_DIR, 'app.js'), 'ok');
+            fs.writeFileSync(path.join(WATCH_DIR, 'lib', 'util.js'), 'ok');
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "watched", {
+                    workerCount: 2,
+                    watch: {
+                        paths: [WATCH_DIR + '/**/*.js'],
+                        ignore: ['**/ignored/**'],
+                        debounce: 100,
+                        maxCrashes: 2
+                    }
+                });
+
+            const state = {
+                phase: 'start',
+                acks: 0,
+                changes: 0,
+                deaths: 0,
+                deathReports: 0,
+                failureReports: 0,
+                oldWorkers: []
+            };
+
+            broker.watch.rolling.should.be.exactly(true);
+            broker.watch.stablePeriod.should.be.exactly(10000);
+
+            app.report = function(err) {
+                if (/broker failed/.test(err.message)) {
+                    err.message.should.match(/2 workers crashed on startup/);
+                    state.failureReports++;
+                } else {
+                    err.message.should.match(/died/);
+                    state.deathReports++;
+                }
+            };
+
+            broker.on('worker_message', function(msg) {
+                msg.should.be.exactly('Reporting for duty');
+
+                if (state.phase === 'start' && ++state.acks === 2) {
+                    state.phase = 'broken';
+
+                    // Only the js files that aren't ignored count
+                    fs.writeFileSync(path.join(WATCH_DIR, 'ignored', 'skip.js'), 'whatever');
+                    fs.writeFileSync(path.join(WATCH_DIR, 'notes.txt'), 'whatever');
+                    fs.writeFileSync(path.join(WATCH_DIR, 'app.js'), 'broken');
+                    fs.writeFileSync(path.join(WATCH_DIR, 'lib', 'util.js'), 'also changed');
+                }
+            });
+
+            broker.on('files_changed', function(event) {
+                event.type.should.be.exactly('watched');
+                state.changes++;
+
+                if (state.phase === 'broken') {
+                    event.files.should.be.eql([path.join(WATCH_DIR, 'app.js'), path.join(WATCH_DIR, 'lib', 'util.js')]);
+                } else {
+                    state.phase.should.be.exactly('fixed');
+                    event.files.should.be.eql([path.join(WATCH_DIR, 'app.js')]);
+                }
+            });
+
+            broker.on('worker_death', function(event) {
+                event.code.should.be.exactly(1);
+                state.deaths++;
+            });
+
+            broker.on('broker_failed', function(event) {
+                state.phase.should.be.exactly('broken');
+                event.history.length.should.be.exactly(2);
+                state.deaths.should.be.exactly(2);
+                state.deathReports.should.be.exactly(1);
+                state.failureReports.should.be.exactly(1);
+                broker.failed.should.be.exactly(true);
+
+                // Give the exit handler a chance to finish up before checking it didn't respawn
+                setTimeout(() => {
+                    broker._respawnTimers.size.should.be.exactly(0);
+
+                    // Fix the code
+                    state.phase = 'fixed';
+                    state.oldWorkers = broker._workerIds.watched.slice();
+                    fs.writeFileSync(path.join(WATCH_DIR, 'app.js'), 'ok');
+                }, 10);
+            });
+
+            const check = function() {
+                const ids = broker._workerIds.watched;
+                if (state.phase !== 'fixed' || broker.failed || broker.getStatus().active !== 2 || state.oldWorkers.some((id) => ids.indexOf(id) >= 0)) return;
+
+                state.phase = 'done';
+                state.changes.should.be.exactly(2);
+                state.deaths.should.be.exactly(2);
+
+                broker.destroy()
+                    .then(() => {
+                        broker._watcher._watchers.size.should.be.exactly(0);
+                        removeDir(WATCH_DIR);
+                        done();
+                    })
+                    .catch(done);
+            };
+
+            broker.on('worker_online', check);
+            broker.on('worker_ended', check);
+        });
+
+        it('will kill a worker that never becomes ready', function(done) {
+
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a broker with a ready timeout, whose worker never says it's ready.
+             2. When the timeout expires, the broker should report it and kill the worker.
+             3. Once we confirmed the worker died, we'll wait for the replacement and drain it.
+             4. Once we confirmed the replacement is dead, we'll call the test done.
+
+             */
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "unready", {workerCount: 1, readyTimeout: 500});
+
+            const state = {
+                firstWorkerId: null,
+                reported: false,
+                workerDied: false
+            };
+
+            app.report = function(err, data) {
+                err.should.be.an.instanceof(Error);
+                data.worker_id.should.be.exactly(state.firstWorkerId);
+
+                // The timeout gets reported first, then the death
+                if (!state.reported) {
+                    err.message.should.match(/did not become ready/);
+                    state.reported = true;
+                } else {
+                    err.message.should.match(/died/);
+                }
+            };
+
+            broker.on('worker_message', function(msg, worker) {
+                if (msg === "Reporting for duty") {
+                    if (state.firstWorkerId === null) {
+                        state.firstWorkerId = worker.id + "";
+                    } else {
+                        // Replacement is up, shut it down
+                        state.workerDied.should.be.exactly(true);
+                        setTimeout(broker.drainWorkers.bind(broker), 10);
+                    }
+                } else {
+                    debug('got message from worker', msg, worker);
+                    throw new Error('Should not have received this message from worker');
+                }
+            });
+
+            broker.on('worker_ready', function() {
+                throw new Error('Worker should not have become ready.');
+            });
 
-                    state.firstWorkerEnded.should.be.exactly(true);
-                    state.secondWorkerGotAcknowledgement.should.be.exactly(true);
-                    state.sentSuicide.should.be.exactly(true);
-                    state.secondWorkerEnded.should.be.exactly(false);
-                    state.secondWorkerEnded = true;
+            broker.on('worker_death', function(event) {
+                event.should.be.an.Object();
+                event.id.should.be.exactly(state.firstWorkerId);
+                event.signal.should.be.exactly('SIGKILL');
+                state.reported.should.be.exactly(true);
+                state.workerDied.should.be.exactly(false);
+                state.workerDied = true;
+
+                // Give the replacement all the time it needs
+                broker.readyTimeout = 0;
+            });
 
-                    // We ran through all the states!
-                    done();
+            broker.on('worker_ended', function(event) {
+                event.should.be.an.Object();
+                state.workerDied.should.be.exactly(true);
 
-                } else {
-                    debug(typeof event.id, typeof state.firstWorkerId, state, event);
-                    throw new Error('Worker ended that we could not identify!');
-                }
+                // We ran through all the states!
+                done();
             });
 
             broker.should.be.an.Object();
-            Object.keys(broker._workerIds).length.should.be.exactly(1);
-            broker._workerIds.recycle.should.be.an.Array();
-
+            broker._workerIds.unready.should.be.an.Array();
         });
 
-        it('should restart worker after crash', function(done) {
+        it('will replace a worker that stops sending heartbeats', function(done) {
 
             /*
 
              So where's what's going to happen.
 
-             1. We'll start a worker, and wait to hear from it.
-             2. When we get word it's alive, then we'll tell it to crash
-             3. We'll confirm the worker crash event happened, and wait for the replacement
-             4. Once replaced, we'll drain the pool.
-             5. Once we confirmed the worker is dead, we'll call the test done.
+             1. We'll start a broker that watches heartbeats, and wait to hear from the worker.
+             2. When we get word it's alive, we'll tell it to get stuck in a loop.
+             3. The broker should notice the missing heartbeats, report it, and kill the worker.
+             4. Once the replacement is alive, we'll drain it, and when it's dead, we'll call the test done.
 
              */
 
             const app = new OkanjoApp({}),
-                broker = new OkanjoBroker(app, "recycle", {});
+                broker = new OkanjoBroker(app, "heartbeat", {workerCount: 1, heartbeatInterval: 100, heartbeatMisses: 3});
 
             const state = {
                 firstWorkerId: null,
-                firstWorkerGotAcknowledgement: false,
-                firstWorkerSentCrash: false,
-                firstWorkerCrashed: false,
-                firstWorkerEnded: false,
+                reported: false,
+                unresponsive: false,
+                workerDied: false,
+                secondWorkerId: null
+            };
 
-                secondWorkerId: null,
-                secondWorkerGotAcknowledgement: false,
-                sentSuicide: false,
-                secondWorkerEnded: false
+            app.report = function(err, data) {
+                err.should.be.an.instanceof(Error);
+                data.worker_id.should.be.exactly(state.firstWorkerId);
+
+                // The missing heartbeats get reported first, then the death
+                if (!state.reported) {
+                    err.message.should.match(/is unresponsive/);
+                    state.reported = true;
+                } else {
+                    err.message.should.match(/died/);
+                }
             };
 
             broker.on('worker_message', function(msg, worker) {
                 if (msg === "Reporting for duty") {
-
                     if (state.firstWorkerId === null) {
-                        should(state.secondWorkerId).be.equal(null);
-                        state.firstWorkerId = worker.id;
-
-                        state.firstWorkerGotAcknowledgement.should.be.exactly(false);
-                        state.firstWorkerGotAcknowledgement = true;
-
-                        // Good to go, recycle it
-                        state.firstWorkerSentCrash.should.be.exactly(false);
-                        state.firstWorkerSentCrash = true;
-
-                        setTimeout(() => worker.send('crash'), 10);
-                        //worker.send('crash');
-
-                    } else if (state.secondWorkerId === null) {
-                        state.secondWorkerId = worker.id;
-
-
-                        state.firstWorkerCrashed.should.be.exactly(true);
-
-                        state.secondWorkerGotAcknowledgement.should.be.exactly(false);
-                        state.secondWorkerGotAcknowledgement = true;
-
-                        // Good to go, drain it
-                        state.sentSuicide.should.be.exactly(false);
-                        state.sentSuicide = true;
-                        setTimeout(broker.drainWorkers.bind(broker), 10);
+                        state.firstWorkerId = worker.id + "";
 
+                        // Wait until the broker is getting heartbeats before hanging
+                        setTimeout(() => {
+                            broker._workerState[worker.id].lastHeartbeat.should.be.a.Number();
+                            worker.send('hang');
+                        }, 200);
                     } else {
-                        throw new Error('Too many worker acks!');
+                        state.workerDied.should.be.exactly(true);
+                        state.secondWorkerId = worker.id + "";
+                        setTimeout(broker.drainWorkers.bind(broker), 10);
                     }
-
                 } else {
                     debug('got message from worker', msg, worker);
                     throw new Error('Should not have received this message from worker');
                 }
             });
 
-            broker.on('worker_death', function(event) {
+            broker.on('worker_unresponsive', function(event) {
                 event.should.be.an.Object();
+                event.id.should.be.exactly(state.firstWorkerId);
+                event.worker.should.be.instanceof(cluster.Worker);
+                event.lastHeartbeat.should.be.a.Number();
+                event.missed.should.be.greaterThanOrEqual(3);
+                state.unresponsive.should.be.exactly(false);
+                state.unresponsive = true;
+            });
 
-                if (event.id === state.firstWorkerId+"") {
-
-                    state.firstWorkerCrashed.should.be.exactly(false);
-                    state.firstWorkerCrashed = true;
-
-                    state.firstWorkerEnded.should.be.exactly(false);
-                    state.firstWorkerEnded = true;
-                } else {
-                    throw new Error('Worker should not have died unless we told it to.');
-                }
-
+            broker.on('worker_death', function(event) {
+                event.should.be.an.Object();
+                event.id.should.be.exactly(state.firstWorkerId);
+                event.signal.should.be.exactly('SIGKILL');
+                state.unresponsive.should.be.exactly(true);
+                state.workerDied = true;
             });
 
             broker.on('worker_ended', function(event) {
                 event.should.be.an.Object();
-                event.id.should.be.ok();
-
-                if (event.id === state.firstWorkerId+"") {
-
-                    state.firstWorkerGotAcknowledgement.should.be.exactly(true);
-                    state.sentRecycle.should.be.exactly(true);
-                    state.firstWorkerEnded.should.be.exactly(false);
-                    state.firstWorkerEnded = true;
-
-                } else if (event.id === state.secondWorkerId+"") {
-
-                    state.firstWorkerEnded.should.be.exactly(true);
-                    state.secondWorkerGotAcknowledgement.should.be.exactly(true);
-                    state.sentSuicide.should.be.exactly(true);
-                    state.secondWorkerEnded.should.be.exactly(false);
-                    state.secondWorkerEnded = true;
-
-                    // We ran through all the states!
-                    done();
+                event.id.should.be.exactly(state.secondWorkerId);
 
-                } else {
-                    debug(typeof event.id, typeof state.firstWorkerId, state, event);
-                    throw new Error('Worker ended that we could not identify!');
-                }
+                // We ran through all the states!
+                done();
             });
 
             broker.should.be.an.Object();
-            Object.keys(broker._workerIds).length.should.be.exactly(1);
-            broker._workerIds.recycle.should.be.an.Array();
-
+            broker._workerIds.heartbeat.should.be.an.Array();
         });
 
         it('will force kill a hung worker', function(done) {
@@ -454,6 +2228,70 @@ if (cluster.isMaster) {
 
         });
 
+        it('will escalate to SIGKILL when a worker ignores SIGTERM', function(done) {
+
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a broker with a long grace period, and wait to hear from the worker.
+             2. When we get word it's alive, we'll drain the workers with a much shorter shutdown policy.
+             3. The worker ignores the shutdown and SIGTERM, so the broker should escalate to SIGKILL.
+             4. Once we confirmed the worker is dead, we'll call the test done.
+
+             */
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "ignoredeath_term", { workerCount: 1, shutdown: { gracePeriod: 30000 } });
+
+            broker.shutdown.should.be.eql({ gracePeriod: 30000, killTimeout: 1000 });
+
+            const state = {
+                workerId: broker._workerIds.ignoredeath_term[0],
+                phases: []
+            };
+
+            broker.on('worker_message', function(msg) {
+                msg.should.be.exactly('Reporting for duty');
+                setTimeout(() => {
+                    broker.drainWorkers({ shutdown: { gracePeriod: 100, killTimeout: 100 } });
+                }, 200);
+            });
+
+            broker.on('worker_stopping', function(event) {
+                event.id.should.be.exactly(state.workerId);
+                event.worker.should.be.instanceof(cluster.Worker);
+                event.gracePeriod.should.be.exactly(100);
+                event.killTimeout.should.be.exactly(100);
+                state.phases.push('stopping');
+            });
+
+            broker.on('worker_terminated', function(event) {
+                event.id.should.be.exactly(state.workerId);
+                event.worker.should.be.instanceof(cluster.Worker);
+                state.phases.push('terminated');
+            });
+
+            broker.on('worker_killed', function(event) {
+                event.id.should.be.exactly(state.workerId);
+                event.worker.should.be.instanceof(cluster.Worker);
+                state.phases.push('killed');
+            });
+
+            broker.on('worker_death', function() {
+                throw new Error('Worker should not have died unless we told it to.');
+            });
+
+            broker.on('worker_ended', function(event) {
+                event.id.should.be.exactly(state.workerId);
+                event.signal.should.be.exactly('SIGKILL');
+                state.phases.should.be.eql(['stopping', 'terminated', 'killed']);
+
+                // We ran through all the states!
+                done();
+            });
+        });
+
         it('will force kill a worker whos doing network stuff', function(done) {
             /*
 
@@ -595,6 +2433,102 @@ if (cluster.isMaster) {
 
         });
 
+        it('should aggregate ops from workers', function(done) {
+
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a broker with two workers that report ops, and wait to hear from both.
+             2. When they're alive, the ops summary should roll up both workers.
+             3. Then we'll drain the workers, and once they're dead, the summary should be empty.
+
+             */
+
+            const app = new OkanjoApp({}),
+                store = new OkanjoBroker.MemoryOpsStore(),
+                broker = new OkanjoBroker(app, "busy", { workerCount: 2, opsStore: store });
+
+            const state = {
+                acks: 0,
+                stored: 0,
+                summarized: false,
+                endedWorkers: 0
+            };
+
+            const set = store.set;
+            store.set = function(type, workerId, snapshot) {
+                type.should.be.exactly('busy');
+                snapshot.data.load.should.be.exactly(10);
+                snapshot.time.should.be.a.Number();
+                state.stored++;
+                return set.apply(this, arguments);
+            };
+
+            broker.on('worker_message', function(msg, worker) {
+                if (msg === "Reporting for duty") {
+                    state.acks++;
+                    if (state.acks < 2) return;
+
+                    const ids = broker._workerIds.busy.slice();
+
+                    broker.getOpsSummary()
+                        .then((summary) => {
+                            state.stored.should.be.exactly(2);
+
+                            summary.type.should.be.exactly('busy');
+                            summary.workers.should.be.exactly(2);
+                            Object.keys(summary.byWorker).sort().should.be.eql(ids.slice().sort());
+
+                            summary.fields.load.should.be.eql({ sum: 20, avg: 10, max: 10, count: 2 });
+
+                            // Nested fields are flattened
+                            const rss = ids.map((id) => id * 100);
+                            summary.fields.memory_rss.sum.should.be.exactly(rss[0] + rss[1]);
+                            summary.fields.memory_rss.avg.should.be.exactly((rss[0] + rss[1]) / 2);
+                            summary.fields.memory_rss.max.should.be.exactly(Math.max(rss[0], rss[1]));
+
+                            // Non-numeric fields are left out
+                            should(summary.fields.name).be.exactly(undefined);
+
+                            state.summarized = true;
+                            broker.drainWorkers();
+                        })
+                        .catch(done);
+                } else {
+                    debug('got message from worker', msg, worker);
+                    throw new Error('Should not have received this message from worker');
+                }
+            });
+
+            broker.on('worker_death', function(event) {
+                event.should.be.an.Object();
+                throw new Error('Worker should not have died unless we told it to.');
+            });
+
+            broker.on('worker_ended', function(event) {
+                event.should.be.an.Object();
+                state.summarized.should.be.exactly(true);
+                state.endedWorkers++;
+
+                if (state.endedWorkers === 2) {
+                    Promise.all([broker.getOpsSummary(), store.list('busy')])
+                        .then(([summary, snapshots]) => {
+                            summary.workers.should.be.exactly(0);
+                            summary.fields.should.be.eql({});
+                            snapshots.length.should.be.exactly(0);
+
+                            // We ran through all the states!
+                            done();
+                        })
+                        .catch(done);
+                }
+            });
+
+            broker.should.be.an.Object();
+            broker.opsStore.should.be.exactly(store);
+        });
+
         it('should handle multiple brokers simultaneously', function(done) {
 
             const app = new OkanjoApp({}),
@@ -690,6 +2624,33 @@ if (cluster.isMaster) {
 
         });
 
+        it('should not overlap scheduled rolling recycles', function(done) {
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "recycle", {
+                    recycleRate: 50,
+                    rollingRecycle: true
+                });
+
+            // Stand in for a rotation that takes longer than the interval
+            const state = { rotations: 0, finish: null };
+            broker._rollingRecycle = function() {
+                state.rotations++;
+                return new Promise((resolve) => state.finish = resolve);
+            };
+
+            setTimeout(() => {
+                state.rotations.should.be.exactly(1);
+                state.finish();
+
+                setTimeout(() => {
+                    state.rotations.should.be.exactly(2);
+                    state.finish();
+                    broker.destroy().then(done).catch(done);
+                }, 100);
+            }, 275);
+        });
+
         it('should recycle workers on specified interval', function(done) {
             const app = new OkanjoApp({}),
                 broker = new OkanjoBroker(app, "recycle", {
@@ -893,7 +2854,7 @@ if (cluster.isMaster) {
                 log(); // logs out active handles that are keeping node running
             });
 
-            let shutdown;
+            let shutdown, shutdownRequested = false;
             const ack = function () {
                 // Tell the broker we're alive
                 debug('Worker started', cluster.worker.id, process.env.worker_type);
@@ -911,12 +2872,18 @@ if (cluster.isMaster) {
                             debug('got shutdown, attempting shutdown...');
                             shutdown();
                         } else {
-                            throw new Error('Told to shutdown but shutdown is not bound yet! WTF?');
+                            // Told before the test below got going (e.g. shut down right after the ack), so end as soon as it does
+                            debug('got shutdown before it was bound, will shut down once it is');
+                            shutdownRequested = true;
                         }
                     } else {
                         debug('ignoring shutdown request cuz we are rebellious');
                     }
 
+                } else if (msg === 'hang') {
+                    // Simulate a runaway regex or whatever
+                    debug('hanging this worker id=' + cluster.worker.id);
+                    for (;;) { /* spin */ }
                 } else if (msg === 'crash') {
                     // Simulate kaboom!
                     debug('crashing this worker id=' + cluster.worker.id);
@@ -936,6 +2903,7 @@ if (cluster.isMaster) {
             });
 
             it('should end when told to do so', function (done) {
+                if (shutdownRequested) return done();
                 shutdown = done;
             });
 
@@ -957,6 +2925,17 @@ if (cluster.isMaster) {
                     ack();
                     break;
 
+                case 'ignoredeath_term':
+
+                    // Shrug off polite requests to exit, and stick around after the broker lets go
+                    process.on('SIGTERM', function () {
+                        debug('ignoring SIGTERM cuz we are rebellious');
+                    });
+                    setInterval(function () {}, 1000);
+
+                    ack();
+                    break;
+
                 case 'ignoredeath_server':
                     process.nextTick(function () {
 
@@ -999,6 +2978,116 @@ if (cluster.isMaster) {
                     ack();
                     break;
 
+                case 'busy':
+
+                    // Report that we're swamped
+                    process.nextTick(function () {
+                        process.send({
+                            type: 'ops',
+                            data: { load: 10, memory: { rss: cluster.worker.id * 100 }, name: 'busy' }
+                        });
+                    });
+
+                    ack();
+                    break;
+
+                case 'heartbeat':
+
+                    // Keep the broker posted that we're alive
+                    process.env.heartbeat_interval.should.be.exactly('100');
+                    setInterval(function () {
+                        process.send({ type: 'heartbeat' });
+                    }, 100).unref();
+
+                    ack();
+                    break;
+
+                case 'oneshot':
+
+                    // Do our one job, like a migration, and leave
+                    setTimeout(function () {
+                        process.exit(0);
+                    }, 100);
+                    break;
+
+                case 'crashloop':
+
+                    // Die on boot, like a worker with a bad config
+                    process.exit(1);
+                    break;
+
+                case 'watched':
+
+                    // Load our "code", and die on boot if it's broken
+                    if (fs.readFileSync(path.join(WATCH_DIR, 'app.js'), 'utf8') === 'broken') {
+                        process.exit(1);
+                    }
+
+                    ack();
+                    break;
+
+                case 'bootstrap':
+                case 'bootstrap_unknown':
+                case 'bootstrap_broken': {
+
+                    // Start up the way an app's main file would
+                    const OkanjoWorker = require('../OkanjoWorker');
+                    OkanjoWorker.register('bootstrap', path.join(__dirname, 'fixtures', 'bootstrap-worker.js'), { greeting: 'hi' });
+                    OkanjoWorker.register('bootstrap_broken', path.join(__dirname, 'fixtures', 'missing-worker.js'));
+                    OkanjoWorker.bootstrap(new OkanjoApp({}));
+                    break;
+                }
+
+                case 'orphan': {
+
+                    // Run a broker of our own, and don't clean it up, since we're about to get killed
+                    const OkanjoBroker = require('../OkanjoBroker');
+                    const orphaned = new OkanjoBroker(new OkanjoApp({}), 'nested_child', {
+                        mode: 'process',
+                        waitForReady: true,
+                        exec: path.join(__dirname, 'fixtures', 'process-worker.js')
+                    });
+                    orphaned.waitForWorkers()
+                        .then(() => orphaned.gather('whoami'))
+                        .then((results) => process.send({ pids: Object.keys(results).map((id) => results[id].result.pid) }));
+                    break;
+                }
+
+                case 'nested': {
+
+                    // Run a broker of our own, which can't use the cluster from in here
+                    const OkanjoBroker = require('../OkanjoBroker');
+                    const report = { nested: null, clusterError: null };
+                    try {
+                        new OkanjoBroker(new OkanjoApp({}), 'nested_child');
+                    } catch (err) {
+                        report.clusterError = err.message;
+                    }
+
+                    const nested = new OkanjoBroker(new OkanjoApp({}), 'nested_child', {
+                        mode: 'process',
+                        waitForReady: true,
+                        exec: path.join(__dirname, 'fixtures', 'process-worker.js')
+                    });
+                    nested.waitForWorkers()
+                        .then(() => nested.gather('whoami'))
+                        .then((results) => {
+                            report.nested = results;
+                            return nested.destroy();
+                        })
+                        .then(() => process.send(report));
+                    break;
+                }
+
+                case 'ready':
+
+                    // Take a moment to initialize, then say we're ready like an OkanjoWorker would
+                    ack();
+                    setTimeout(function () {
+                        process.send({ type: 'ready' });
+                    }, 300);
+                    break;
+
                 case 'recycle':
 
                     ack();
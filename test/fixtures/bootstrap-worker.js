@@ -0,0 +1,27 @@
+"use strict";
+
+const OkanjoWorker = require('../../OkanjoWorker');
+
+/**
+ * Worker registered by module path, for testing the bootstrap helper
+ */
+class BootstrapWorker extends OkanjoWorker {
+
+    constructor(app, options) {
+        super(app, options);
+        this.greeting = options.greeting;
+    }
+
+    init() {
+        // Tell the broker how we were started, once the constructor is done
+        process.nextTick(() => {
+            process.send({
+                bootstrapped: process.env.worker_type,
+                greeting: this.greeting,
+                hasApp: !!this.app
+            });
+        });
+    }
+}
+
+module.exports = BootstrapWorker;
@@ -0,0 +1,20 @@
+"use strict";
+
+// Standalone worker entry script, for brokers that run their own script instead of the master's
+
+// Tell the broker how we were started
+process.send({
+    script: 'exec-worker',
+    args: process.argv.slice(2),
+    execArgv: process.execArgv,
+    workerType: process.env.worker_type,
+    region: process.env.region,
+    spawn: process.env.spawn
+});
+
+// Leave when told to do so
+process.on('message', (msg) => {
+    if (msg === 'suicide') {
+        process.exit(0);
+    }
+});
@@ -0,0 +1,55 @@
+"use strict";
+
+const Cluster = require('cluster');
+const OkanjoWorker = require('../../OkanjoWorker');
+
+/**
+ * Worker that runs as a plain child process, for testing the process backend
+ */
+class ProcessWorker extends OkanjoWorker {
+
+    constructor(app, options) {
+        // Hog the event loop while booting, like a worker loading a lot of code, so the broker can let go before it gets ready
+        if (options && options.bootTime) {
+            const until = Date.now() + options.bootTime;
+            while (Date.now() < until) { /* busy */ }
+        }
+
+        super(app, options);
+
+        this.hung = false;
+
+        // Keep busy like a queue consumer would, so the process doesn't exit just because it has nothing left to do
+        setInterval(() => {}, 1000);
+
+        this.handle('whoami', () => ({
+            pid: process.pid,
+            ppid: process.ppid,
+            isClusterWorker: Cluster.isWorker,
+            workerType: process.env.worker_type,
+            workerMode: process.env.worker_mode
+        }));
+
+        // Ends the process without being asked to
+        this.handle('crash', () => {
+            process.exit(3);
+        });
+
+        // Ignores being told to shut down, even by signal, and keeps the process busy
+        this.handle('hang', () => {
+            this.hung = true;
+            setInterval(() => {}, 1000);
+            return true;
+        });
+    }
+
+    async prepareForShutdown() {
+        if (this.hung) return;
+        await super.prepareForShutdown();
+    }
+}
+
+OkanjoWorker.register('forked', ProcessWorker);
+OkanjoWorker.register('nested_child', ProcessWorker);
+OkanjoWorker.register('forked_busy', ProcessWorker, { bootTime: 500 });
+OkanjoWorker.bootstrap();
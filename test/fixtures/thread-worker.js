@@ -0,0 +1,44 @@
+"use strict";
+
+const WorkerThreads = require('worker_threads');
+const OkanjoWorker = require('../../OkanjoWorker');
+
+/**
+ * Worker that runs in a thread, for testing the thread backend
+ */
+class ThreadWorker extends OkanjoWorker {
+
+    constructor(app, options) {
+        super(app, options);
+
+        this.hung = false;
+
+        this.handle('whoami', () => ({
+            threadId: WorkerThreads.threadId,
+            isMainThread: WorkerThreads.isMainThread,
+            workerType: process.env.worker_type,
+            region: process.env.region,
+            maxOldGenerationSizeMb: WorkerThreads.resourceLimits.maxOldGenerationSizeMb
+        }));
+
+        // Ends the thread without being asked to
+        this.handle('crash', () => {
+            process.exit(3);
+        });
+
+        // Ignores being told to shut down, and keeps the thread busy
+        this.handle('hang', () => {
+            this.hung = true;
+            setInterval(() => {}, 1000);
+            return true;
+        });
+    }
+
+    async prepareForShutdown() {
+        if (this.hung) return;
+        await super.prepareForShutdown();
+    }
+}
+
+OkanjoWorker.register('threaded', ThreadWorker, { opsInterval: 50 });
+OkanjoWorker.bootstrap();
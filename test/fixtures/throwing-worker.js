@@ -0,0 +1,17 @@
+"use strict";
+
+const OkanjoWorker = require('../../OkanjoWorker');
+
+/**
+ * Worker whose constructor fails, like one whose database isn't reachable yet, for testing the bootstrap helper
+ */
+class ThrowingWorker extends OkanjoWorker {
+
+    constructor(app, options) {
+        super(app, options);
+        throw new Error('Database not reachable yet');
+    }
+}
+
+OkanjoWorker.register('bootstrap_throws', ThrowingWorker);
+OkanjoWorker.bootstrap();
@@ -0,0 +1,403 @@
+"use strict";
+
+const should = require('should');
+const OkanjoApp = require('okanjo-app');
+const cluster = require('cluster');
+const OkanjoBroker = require('../OkanjoBroker');
+const { describe, it } = require('mocha');
+
+// Workers are handled by the broker tests, so there's only master-side stuff to do here
+if (cluster.isMaster) {
+
+    describe('Supervisor', function() {
+
+        it('should be exported with the broker', function() {
+            OkanjoBroker.Supervisor.should.be.exactly(require('../OkanjoBrokerSupervisor'));
+            should(() => new OkanjoBroker.Supervisor()).throw(/app context/);
+        });
+
+        it('should run brokers from config and shut them all down', function(done) {
+
+            this.timeout(20000);
+
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a supervisor with a couple brokers, and wait for all the workers to come online.
+             2. Then we'll check the aggregate status and shut everything down.
+             3. Once every broker is down, we'll call the test done.
+
+             */
+
+            const app = new OkanjoApp({}),
+                signalListeners = ['SIGINT', 'SIGTERM', 'SIGHUP', 'SIGUSR2'].map((signal) => process.listenerCount(signal)),
+                supervisor = new OkanjoBroker.Supervisor(app, {
+                    api: { type: 'recycle', workerCount: 2 },
+                    recycle: { workerCount: 1 }
+                });
+
+            // Signals are left to the master unless it asks the supervisor to handle them
+            supervisor.handleSignals.should.be.exactly(false);
+            ['SIGINT', 'SIGTERM', 'SIGHUP', 'SIGUSR2'].map((signal) => process.listenerCount(signal)).should.be.eql(signalListeners);
+
+            const state = {
+                online: 0,
+                started: false,
+                completed: false
+            };
+
+            supervisor.brokers.api.should.be.instanceof(OkanjoBroker);
+            supervisor.brokers.api.type.should.be.exactly('recycle');
+            supervisor.brokers.recycle.type.should.be.exactly('recycle');
+            should(() => supervisor.addBroker('api', {})).throw(/already has a broker named api/);
+
+            supervisor.on('worker_death', function() {
+                throw new Error('Worker should not have died unless we told it to.');
+            });
+
+            supervisor.on('shutdown_started', function(event) {
+                event.should.be.eql({ signal: null, timeout: 5000 });
+                state.started = true;
+            });
+
+            supervisor.on('shutdown_complete', function(event) {
+                event.should.be.eql({ signal: null, errors: {} });
+                state.completed = true;
+            });
+
+            supervisor.on('worker_online', function(event, broker) {
+                event.worker.should.be.instanceof(cluster.Worker);
+                broker.should.be.instanceof(OkanjoBroker);
+                (broker === supervisor.brokers.api || broker === supervisor.brokers.recycle).should.be.exactly(true);
+
+                if (++state.online < 3) return;
+
+                const status = supervisor.getStatus();
+                status.shuttingDown.should.be.exactly(false);
+                status.workers.should.be.exactly(3);
+                status.active.should.be.exactly(3);
+                status.failed.should.be.eql([]);
+                status.brokers.api.should.be.eql({
+                    type: 'recycle',
+                    workerCount: 2,
+                    workers: 2,
+                    active: 2,
+                    ready: 0,
+                    started: true,
+                    completed: false,
+                    draining: false,
+                    failed: false,
+                    destroyed: false
+                });
+
+                const shutdown = supervisor.shutdown({ timeout: 5000 });
+                supervisor.shutdown().should.be.exactly(shutdown);
+                should(() => supervisor.addBroker('late', {})).throw(/shutting down/);
+                app.gracefulShutdown.should.be.exactly(true);
+
+                shutdown
+                    .then((result) => {
+                        result.errors.should.be.eql({});
+                        state.started.should.be.exactly(true);
+                        state.completed.should.be.exactly(true);
+
+                        const status = supervisor.getStatus();
+                        status.shuttingDown.should.be.exactly(true);
+                        status.workers.should.be.exactly(0);
+                        status.brokers.api.destroyed.should.be.exactly(true);
+                        status.brokers.recycle.destroyed.should.be.exactly(true);
+
+                        done();
+                    })
+                    .catch(done);
+            });
+        });
+
+        it('should reject broker dependency cycles', function() {
+            const app = new OkanjoApp({});
+
+            should(() => new OkanjoBroker.Supervisor(app, {
+                a: { workerCount: 0, dependsOn: 'c' },
+                b: { workerCount: 0, dependsOn: ['a'] },
+                c: { workerCount: 0, dependsOn: ['b'] }
+            }, { handleSignals: false })).throw('Broker dependency cycle: a -> c -> b -> a');
+
+            should(() => new OkanjoBroker.Supervisor(app, {
+                a: { workerCount: 0, dependsOn: 'nope' }
+            }, { handleSignals: false })).throw('Broker a depends on unknown broker nope');
+
+            const supervisor = new OkanjoBroker.Supervisor(app, {}, { handleSignals: false });
+            should(() => supervisor.addBroker('a', { workerCount: 0, dependsOn: 'nope' })).throw('Broker a depends on unknown broker nope');
+            supervisor.brokers.should.be.eql({});
+        });
+
+        it('should start and stop brokers in dependency order', function(done) {
+
+            this.timeout(20000);
+
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a supervisor with a one-shot migration, an api that needs it, and consumers that need the api.
+             2. The brokers should start one after the other, each once what it depends on is up (or done).
+             3. Then we'll shut down, and the brokers should stop in reverse order.
+             4. Once the shutdown is complete, we'll call the test done.
+
+             */
+
+            const app = new OkanjoApp({}),
+                supervisor = new OkanjoBroker.Supervisor(app, {
+                    consumers: { type: 'recycle', workerCount: 1, dependsOn: 'api' },
+                    api: { type: 'ready', workerCount: 1, dependsOn: ['migrate'] },
+                    migrate: { type: 'oneshot', workerCount: 1, oneShot: true }
+                }, { handleSignals: false });
+
+            const state = {
+                started: [],
+                stopped: []
+            };
+
+            supervisor.getStatus().pending.should.be.eql(['api', 'consumers']);
+            supervisor.brokers.migrate.started.should.be.exactly(true);
+
+            supervisor.on('worker_death', function() {
+                throw new Error('Worker should not have died unless we told it to.');
+            });
+
+            supervisor.on('broker_started', function(event) {
+                event.broker.should.be.exactly(supervisor.brokers[event.name]);
+                state.started.push(event.name);
+
+                if (event.name === 'api') {
+                    supervisor.brokers.migrate.completed.should.be.exactly(true);
+                } else if (event.name === 'consumers') {
+                    supervisor.brokers.api.getStatus().active.should.be.exactly(1);
+
+                    // The api was up a while before it finished initializing
+                    supervisor.brokers.api.getStatus().ready.should.be.exactly(1);
+                    supervisor.getStatus().pending.should.be.eql([]);
+
+                    supervisor.brokers.consumers.waitForWorkers()
+                        .then(() => supervisor.shutdown())
+                        .then((result) => {
+                            result.errors.should.be.eql({});
+                            state.started.should.be.eql(['api', 'consumers']);
+                            state.stopped.should.be.eql(['consumers', 'api', 'migrate']);
+                            done();
+                        })
+                        .catch(done);
+                }
+            });
+
+            supervisor.on('broker_stopped', function(event) {
+                should(event.error).be.exactly(null);
+                event.broker.destroyed.should.be.exactly(true);
+
+                // Everything that depends on this broker is already down
+                Object.keys(supervisor.brokers).forEach((name) => {
+                    if ([].concat(name === 'consumers' ? 'api' : name === 'api' ? 'migrate' : []).indexOf(event.name) >= 0) {
+                        supervisor.brokers[name].destroyed.should.be.exactly(true);
+                    }
+                });
+
+                state.stopped.push(event.name);
+            });
+        });
+
+        it('should shut down on SIGTERM under a deadline', function(done) {
+
+            this.timeout(20000);
+
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a supervisor with a well behaved broker and a stubborn one, and wait to hear from both.
+             2. Then we'll send the master SIGTERM, which should shut down both brokers in parallel.
+             3. The stubborn worker won't exit within the deadline, so its broker should report the timeout.
+             4. Once the shutdown is complete, we'll call the test done.
+
+             */
+
+            const app = new OkanjoApp({}),
+                signalListeners = process.listenerCount('SIGTERM'),
+                supervisor = new OkanjoBroker.Supervisor(app, {
+                    recycle: { workerCount: 1 },
+                    stubborn: { type: 'ignoredeath_term', workerCount: 1, shutdown: { gracePeriod: 5000 } }
+                }, { shutdownTimeout: 2000, handleSignals: true, exitOnShutdown: false });
+
+            process.listenerCount('SIGTERM').should.be.exactly(signalListeners + 1);
+
+            const state = {
+                acks: 0,
+                reports: []
+            };
+
+            app.report = function(message, err) {
+                state.reports.push(message + ': ' + err.message);
+            };
+
+            supervisor.on('worker_message', function(msg, worker, broker) {
+                msg.should.be.exactly('Reporting for duty');
+                worker.should.be.instanceof(cluster.Worker);
+                broker.should.be.instanceof(OkanjoBroker);
+
+                if (++state.acks === 2) {
+                    process.emit('SIGTERM', 'SIGTERM');
+                    supervisor.shuttingDown.should.be.exactly(true);
+                }
+            });
+
+            supervisor.on('shutdown_complete', function(event) {
+                event.signal.should.be.exactly('SIGTERM');
+                Object.keys(event.errors).should.be.eql(['stubborn']);
+                // What's left of the deadline by the time the broker gets to shut down
+                event.errors.stubborn.message.should.match(/timed out after \d+ms waiting for workers to exit/);
+                state.reports.length.should.be.exactly(1);
+                state.reports[0].should.match(/could not shut down broker stubborn cleanly/);
+
+                // Signals are left alone once the supervisor is done with them
+                process.listenerCount('SIGTERM').should.be.exactly(signalListeners);
+                supervisor.getStatus().workers.should.be.exactly(0);
+
+                done();
+            });
+        });
+
+        it('should recycle workers on SIGHUP and SIGUSR2', function(done) {
+
+            this.timeout(20000);
+
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a supervisor with a broker and a one-shot broker, and wait for the workers to come online.
+             2. Then we'll send the master SIGHUP, which should recycle the broker with its own settings, but not the one-shot broker.
+             3. Then we'll send SIGUSR2, which should do a rolling recycle.
+             4. Once that's done, we'll shut down and call the test done.
+
+             */
+
+            const app = new OkanjoApp({}),
+                listeners = { SIGHUP: process.listenerCount('SIGHUP'), SIGUSR2: process.listenerCount('SIGUSR2') },
+                supervisor = new OkanjoBroker.Supervisor(app, {
+                    api: { type: 'recycle', workerCount: 2 },
+                    migrate: { type: 'oneshot', oneShot: true }
+                }, { handleSignals: true, exitOnShutdown: false });
+
+            process.listenerCount('SIGHUP').should.be.exactly(listeners.SIGHUP + 1);
+            process.listenerCount('SIGUSR2').should.be.exactly(listeners.SIGUSR2 + 1);
+
+            const state = {
+                online: 0,
+                calls: [],
+                received: [],
+                completed: []
+            };
+
+            // Keep track of what the broker is asked to do
+            const api = supervisor.brokers.api;
+            const recycleWorkers = api.recycleWorkers;
+            api.recycleWorkers = function(options) {
+                state.calls.push(options);
+                return recycleWorkers.call(this, options);
+            };
+
+            app.report = function(message, err) {
+                done(err || new Error(message));
+            };
+
+            supervisor.on('worker_death', function() {
+                throw new Error('Worker should not have died unless we told it to.');
+            });
+
+            supervisor.on('signal_received', function(event) {
+                state.received.push(event);
+            });
+
+            supervisor.on('recycle_started', function(event) {
+                // One-shot brokers aren't recycled
+                event.brokers.should.be.eql(['api']);
+            });
+
+            supervisor.on('recycle_complete', function(event) {
+                event.errors.should.be.eql({});
+                state.completed.push(event.signal);
+
+                if (event.signal === 'SIGHUP') {
+                    process.emit('SIGUSR2', 'SIGUSR2');
+                    return;
+                }
+
+                state.received.should.be.eql([
+                    { signal: 'SIGHUP', action: 'recycle' },
+                    { signal: 'SIGHUP', action: 'recycle' },
+                    { signal: 'SIGUSR2', action: 'rollingRecycle' }
+                ]);
+                state.calls.should.be.eql([{}, { rolling: true }]);
+                state.completed.should.be.eql(['SIGHUP', 'SIGUSR2']);
+                state.online.should.be.exactly(6);
+
+                supervisor.shutdown()
+                    .then(() => {
+                        process.listenerCount('SIGHUP').should.be.exactly(listeners.SIGHUP);
+                        process.listenerCount('SIGUSR2').should.be.exactly(listeners.SIGUSR2);
+                        done();
+                    })
+                    .catch(done);
+            });
+
+            supervisor.on('worker_online', function(event, broker) {
+                if (broker !== api || ++state.online !== 2) return;
+
+                process.emit('SIGHUP', 'SIGHUP');
+                // A reload that's already underway isn't started over
+                process.emit('SIGHUP', 'SIGHUP');
+            });
+        });
+
+        it('should map signals to custom actions', function(done) {
+            const app = new OkanjoApp({});
+
+            should(() => new OkanjoBroker.Supervisor(app, {}, { signals: { SIGHUP: 'explode' } })).throw(/Unknown supervisor action explode for signal SIGHUP/);
+
+            const listeners = { SIGHUP: process.listenerCount('SIGHUP'), SIGUSR2: process.listenerCount('SIGUSR2') };
+            const supervisor = new OkanjoBroker.Supervisor(app, {}, {
+                handleSignals: true,
+                exitOnShutdown: false,
+                signals: {
+                    SIGHUP: null,
+                    SIGUSR2: (signal, target) => {
+                        signal.should.be.exactly('SIGUSR2');
+                        target.should.be.exactly(supervisor);
+                        throw new Error('Custom action failed');
+                    }
+                }
+            });
+
+            Object.keys(supervisor.signals).should.be.eql(['SIGINT', 'SIGTERM', 'SIGUSR2']);
+            process.listenerCount('SIGHUP').should.be.exactly(listeners.SIGHUP);
+
+            supervisor.on('signal_received', function(event) {
+                event.should.be.eql({ signal: 'SIGUSR2', action: 'custom' });
+            });
+
+            app.report = function(message, err) {
+                message.should.match(/signal handler for SIGUSR2 failed/);
+                err.message.should.be.exactly('Custom action failed');
+
+                supervisor.shutdown()
+                    .then(() => {
+                        process.listenerCount('SIGUSR2').should.be.exactly(listeners.SIGUSR2);
+                        done();
+                    })
+                    .catch(done);
+            };
+
+            process.emit('SIGUSR2', 'SIGUSR2');
+        });
+    });
+}
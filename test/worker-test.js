@@ -147,6 +147,601 @@ if (cluster.isMaster) {
             //broker._workerIds.okanjoWorker.should.be.an.Array();
         });
 
+        it('should spawn an OkanjoWorker that reports when ready', function (done) {
+
+            this.timeout(5000);
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a broker that waits for readiness, and wait to hear from it.
+             2. Once the worker's init resolves, the worker should tell the broker it's ready.
+             3. When we get word it's ready, then we'll drain the workers.
+             4. Once we confirmed the worker is dead, we'll call the test done.
+
+             */
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "okanjoWorker", {workerCount: 1, waitForReady: true, readyTimeout: 4000});
+
+            const state = {
+                gotAcknowledgement: false,
+                gotReady: false,
+                workerEnded: false
+            };
+
+            broker.on('worker_message', function (msg, worker) {
+                if (msg === "Reporting for duty") {
+                    state.gotAcknowledgement.should.be.exactly(false);
+                    state.gotAcknowledgement = true;
+
+                    // Init sends the ack before it resolves
+                    state.gotReady.should.be.exactly(false);
+                    broker.isWorkerReady(worker.id).should.be.exactly(false);
+                } else {
+                    console.log('got message from worker', msg, worker);
+                    throw new Error('Should not have received this message from worker');
+                }
+            });
+
+            broker.on('worker_ready', function (event) {
+                event.should.be.an.Object();
+                event.id.should.be.ok();
+                event.worker.should.be.instanceof(cluster.Worker);
+
+                state.gotAcknowledgement.should.be.exactly(true);
+                state.gotReady.should.be.exactly(false);
+                state.gotReady = true;
+
+                broker.isWorkerReady(event.id).should.be.exactly(true);
+                broker._activeWorkerCount().should.be.exactly(1);
+
+                // Good to go, shut it down
+                setTimeout(broker.drainWorkers.bind(broker), 10);
+            });
+
+            broker.on('worker_death', function (event) {
+                event.should.be.an.Object();
+                throw new Error('Worker should not have died unless we told it to.');
+            });
+
+            broker.on('worker_ended', function (event) {
+                event.should.be.an.Object();
+                state.gotReady.should.be.exactly(true);
+                state.workerEnded.should.be.exactly(false);
+                state.workerEnded = true;
+                broker.isWorkerReady(event.id).should.be.exactly(false);
+
+                // We ran through all the states!
+                setTimeout(function () {
+                    done();
+                }, 1000);
+            });
+
+            broker.should.be.an.Object();
+            broker._workerIds.okanjoWorker.should.be.an.Array();
+        });
+
+        it('should make requests to an OkanjoWorker', function (done) {
+
+            this.timeout(5000);
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a broker, and wait to hear from it.
+             2. When we get word it's alive, we'll make a bunch of requests to it.
+             3. We'll leave one request hanging and drain the workers, which should reject it.
+             4. Once we confirmed the worker is dead, we'll call the test done.
+
+             */
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "okanjoWorker", {workerCount: 1});
+
+            const state = {
+                gotAcknowledgement: false,
+                hangingRejected: false
+            };
+
+            broker.on('worker_message', function (msg, worker) {
+                if (msg === "Reporting for duty") {
+                    state.gotAcknowledgement.should.be.exactly(false);
+                    state.gotAcknowledgement = true;
+
+                    const id = worker.id;
+
+                    Promise.resolve()
+                        .then(() => broker.request(id, 'echo', { hello: 'world' }))
+                        .then((result) => {
+                            result.should.be.eql({ hello: 'world' });
+
+                            return broker.request(id, 'fail').then(() => {
+                                throw new Error('Should have failed');
+                            }, (err) => {
+                                err.should.be.an.instanceof(Error);
+                                err.message.should.be.exactly('Nope');
+                                err.code.should.be.exactly('E_NOPE');
+                                err.workerId.should.be.exactly(id + "");
+                            });
+                        })
+                        .then(() => broker.request(id, 'missing').then(() => {
+                            throw new Error('Should have failed');
+                        }, (err) => {
+                            err.message.should.match(/No handler registered for missing/);
+                        }))
+                        .then(() => broker.request(id, 'hang', null, { timeout: 50 }).then(() => {
+                            throw new Error('Should have timed out');
+                        }, (err) => {
+                            err.message.should.match(/did not respond to hang within 50ms/);
+                            broker._pendingRequests.size.should.be.exactly(0);
+                        }))
+                        .then(() => broker.request('nope', 'echo').then(() => {
+                            throw new Error('Should have failed');
+                        }, (err) => {
+                            err.message.should.match(/not available/);
+                        }))
+                        .then(() => {
+                            // Leave this one hanging, the worker exiting should reject it
+                            broker.request(id, 'hang').then(() => {
+                                throw new Error('Should not have resolved');
+                            }, (err) => {
+                                err.message.should.match(/exited before responding to hang/);
+                                state.hangingRejected = true;
+                            });
+
+                            broker.drainWorkers();
+                        })
+                        .catch(done);
+
+                } else {
+                    console.log('got message from worker', msg, worker);
+                    throw new Error('Should not have received this message from worker');
+                }
+            });
+
+            broker.on('worker_death', function (event) {
+                event.should.be.an.Object();
+                throw new Error('Worker should not have died unless we told it to.');
+            });
+
+            broker.on('worker_ended', function (event) {
+                event.should.be.an.Object();
+                state.gotAcknowledgement.should.be.exactly(true);
+
+                // We ran through all the states!
+                setTimeout(function () {
+                    state.hangingRejected.should.be.exactly(true);
+                    broker._pendingRequests.size.should.be.exactly(0);
+                    done();
+                }, 1000);
+            });
+
+            broker.should.be.an.Object();
+            broker._workerIds.okanjoWorker.should.be.an.Array();
+        });
+
+        it('should answer requests from an OkanjoWorker', function (done) {
+
+            this.timeout(5000);
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a broker with some handlers, and wait to hear from the worker.
+             2. When we get word it's alive, we'll have the worker ask the broker a bunch of things.
+             3. Then we'll drain the workers, and once we confirmed the worker is dead, we'll call the test done.
+
+             */
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "okanjoWorker", {workerCount: 1});
+
+            const state = {
+                gotAcknowledgement: false,
+                asked: false
+            };
+
+            broker
+                .handle('getLeaseToken', async (args, worker) => {
+                    worker.should.be.instanceof(cluster.Worker);
+                    return { token: 'lease-' + args.scope, worker: worker.id };
+                })
+                .handle('explode', () => {
+                    const err = new TypeError('Kaboom');
+                    err.code = 'E_KABOOM';
+                    throw err;
+                })
+                .handle('hang', () => new Promise(() => {}));
+
+            broker.on('worker_message', function (msg, worker) {
+                if (msg === "Reporting for duty") {
+                    state.gotAcknowledgement.should.be.exactly(false);
+                    state.gotAcknowledgement = true;
+
+                    const id = worker.id;
+                    const relay = (method, args, options) => broker.request(id, 'relay', { method, args, options });
+
+                    relay('getLeaseToken', { scope: 'api' })
+                        .then((result) => {
+                            result.should.be.eql({ token: 'lease-api', worker: id });
+
+                            return relay('explode').then(() => {
+                                throw new Error('Should have failed');
+                            }, (err) => {
+                                err.name.should.be.exactly('TypeError');
+                                err.message.should.be.exactly('Kaboom');
+                                err.code.should.be.exactly('E_KABOOM');
+                            });
+                        })
+                        .then(() => relay('missing').then(() => {
+                            throw new Error('Should have failed');
+                        }, (err) => {
+                            err.message.should.match(/No handler registered for missing on the okanjoWorker broker/);
+                        }))
+                        .then(() => relay('hang', null, { timeout: 50 }).then(() => {
+                            throw new Error('Should have timed out');
+                        }, (err) => {
+                            err.message.should.match(/Broker did not respond to hang within 50ms/);
+                        }))
+                        .then(() => {
+                            state.asked = true;
+                            broker.drainWorkers();
+                        })
+                        .catch(done);
+
+                } else {
+                    console.log('got message from worker', msg, worker);
+                    throw new Error('Should not have received this message from worker');
+                }
+            });
+
+            broker.on('worker_death', function (event) {
+                event.should.be.an.Object();
+                throw new Error('Worker should not have died unless we told it to.');
+            });
+
+            broker.on('worker_ended', function (event) {
+                event.should.be.an.Object();
+                state.asked.should.be.exactly(true);
+
+                // We ran through all the states!
+                setTimeout(function () {
+                    done();
+                }, 1000);
+            });
+
+            broker.should.be.an.Object();
+            broker._workerIds.okanjoWorker.should.be.an.Array();
+        });
+
+        it('should broadcast and gather across OkanjoWorkers', function (done) {
+
+            this.timeout(5000);
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a broker with two workers, and wait to hear from both.
+             2. When they're alive, we'll broadcast to them and gather results from them.
+             3. Then we'll drain the workers, and once we confirmed they're dead, we'll call the test done.
+
+             */
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "okanjoWorker", {workerCount: 2});
+
+            const state = {
+                acks: 0,
+                gathered: false,
+                endedWorkers: 0
+            };
+
+            broker.on('worker_message', function (msg, worker) {
+                if (msg === "Reporting for duty") {
+                    state.acks++;
+                    if (state.acks < 2) return;
+
+                    const ids = broker._workerIds.okanjoWorker.slice();
+
+                    broker.broadcast('hey code coverage!').should.be.eql(ids);
+
+                    broker.gather('echo', 'hi')
+                        .then((results) => {
+                            Object.keys(results).sort().should.be.eql(ids.slice().sort());
+                            ids.forEach((id) => results[id].should.be.eql({ result: 'hi' }));
+
+                            return broker.gather('oddsFail');
+                        })
+                        .then((results) => {
+                            // Each worker reports its own outcome
+                            ids.forEach((id) => {
+                                if (id % 2) {
+                                    results[id].error.should.be.an.instanceof(Error);
+                                    results[id].error.message.should.be.exactly('Odd worker');
+                                    results[id].error.workerId.should.be.exactly(id);
+                                } else {
+                                    results[id].result.should.be.exactly(parseInt(id));
+                                }
+                            });
+
+                            return broker.gather('hang', null, { timeout: 50 });
+                        })
+                        .then((results) => {
+                            ids.forEach((id) => results[id].error.message.should.match(/within 50ms/));
+
+                            state.gathered = true;
+                            broker.drainWorkers();
+                        })
+                        .catch(done);
+                } else {
+                    console.log('got message from worker', msg, worker);
+                    throw new Error('Should not have received this message from worker');
+                }
+            });
+
+            broker.on('worker_death', function (event) {
+                event.should.be.an.Object();
+                throw new Error('Worker should not have died unless we told it to.');
+            });
+
+            broker.on('worker_ended', function (event) {
+                event.should.be.an.Object();
+                state.gathered.should.be.exactly(true);
+                state.endedWorkers++;
+
+                // We ran through all the states!
+                if (state.endedWorkers === 2) {
+                    broker.broadcast('anyone?').should.be.eql([]);
+                    setTimeout(function () {
+                        done();
+                    }, 1000);
+                }
+            });
+
+            broker.should.be.an.Object();
+            broker._workerIds.okanjoWorker.should.be.an.Array();
+        });
+
+        it('should recycle an OkanjoWorker after its max jobs', function (done) {
+
+            this.timeout(5000);
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "okanjoWorker", {workerCount: 1, maxJobs: 3});
+
+            const state = {
+                firstWorkerId: broker._workerIds.okanjoWorker[0],
+                recycled: false
+            };
+
+            broker.on('worker_message', function (msg, worker) {
+                msg.should.be.exactly('Reporting for duty');
+
+                if (worker.id + "" === state.firstWorkerId) {
+                    broker.request(worker.id, 'work')
+                        .then((count) => {
+                            count.should.be.exactly(1);
+
+                            // Nothing gets sent until the limit is reached
+                            should(broker._workerState[worker.id].jobCount).be.undefined();
+                            return broker.request(worker.id, 'work', 2);
+                        })
+                        .then((count) => {
+                            count.should.be.exactly(3);
+                        })
+                        .catch(done);
+                }
+            });
+
+            broker.on('worker_recycled', function (event) {
+                event.id.should.be.exactly(state.firstWorkerId);
+                event.reason.should.be.exactly('max_jobs');
+                event.value.should.be.exactly(3);
+                event.limit.should.be.exactly(3);
+                state.recycled = true;
+            });
+
+            broker.on('worker_death', function () {
+                throw new Error('Worker should not have died unless we told it to.');
+            });
+
+            broker.on('worker_ended', function (event) {
+                if (event.id === state.firstWorkerId) {
+                    state.recycled.should.be.exactly(true);
+                    broker.drainWorkers();
+                } else {
+                    setTimeout(function () {
+                        done();
+                    }, 1000);
+                }
+            });
+        });
+
+        it('should receive ops stats from an OkanjoWorker', function (done) {
+
+            this.timeout(5000);
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a broker, and wait to hear from the worker.
+             2. When we get word it's alive, we'll have the worker start its ops reporter.
+             3. After a couple of ops reports, we'll drain the workers.
+             4. Once we confirmed the worker is dead, we'll call the test done.
+
+             */
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "okanjoWorker", {workerCount: 1});
+
+            const state = {
+                gotAcknowledgement: false,
+                opsReports: 0
+            };
+
+            broker.on('worker_message', function (msg, worker) {
+                if (msg === "Reporting for duty") {
+                    state.gotAcknowledgement.should.be.exactly(false);
+                    state.gotAcknowledgement = true;
+
+                    broker.request(worker.id, 'startOps', 50).catch(done);
+                } else {
+                    console.log('got message from worker', msg, worker);
+                    throw new Error('Should not have received this message from worker');
+                }
+            });
+
+            broker.on('worker_ops', function (msg, worker) {
+                worker.should.be.instanceof(cluster.Worker);
+                msg.type.should.be.exactly('ops');
+
+                const data = msg.data;
+                data.memory.rss.should.be.greaterThan(0);
+                data.memory.heapUsed.should.be.greaterThan(0);
+                data.memory.heapTotal.should.be.greaterThan(0);
+                data.memory.external.should.be.a.Number();
+                data.eventLoop.lag.should.be.a.Number();
+                data.eventLoop.maxLag.should.be.a.Number();
+                data.eventLoop.utilization.should.be.within(0, 1);
+                data.cpu.user.should.be.a.Number();
+                data.cpu.system.should.be.a.Number();
+                data.cpu.percent.should.be.a.Number();
+                data.handles.should.be.greaterThan(0);
+                data.uptime.should.be.greaterThan(0);
+
+                // Custom fields from the hook
+                data.custom.should.be.exactly('yes');
+                data.jobs.should.be.exactly(3);
+
+                state.opsReports++;
+                if (state.opsReports === 2) {
+                    broker.drainWorkers();
+                }
+            });
+
+            broker.on('worker_death', function (event) {
+                event.should.be.an.Object();
+                throw new Error('Worker should not have died unless we told it to.');
+            });
+
+            broker.on('worker_ended', function (event) {
+                event.should.be.an.Object();
+                state.opsReports.should.be.greaterThanOrEqual(2);
+
+                // We ran through all the states!
+                setTimeout(function () {
+                    done();
+                }, 1000);
+            });
+
+            broker.should.be.an.Object();
+            broker._workerIds.okanjoWorker.should.be.an.Array();
+        });
+
+        it('should receive heartbeats from an OkanjoWorker', function (done) {
+
+            this.timeout(5000);
+            /*
+
+             So where's what's going to happen.
+
+             1. We'll start a broker that watches heartbeats, and wait to hear from the worker.
+             2. When we get word it's alive, we'll wait a bit and confirm the heartbeats are flowing.
+             3. Then we'll drain the workers, and once we confirmed the worker is dead, we'll call the test done.
+
+             */
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "okanjoWorker", {workerCount: 1, heartbeatInterval: 50});
+
+            const state = {
+                gotAcknowledgement: false
+            };
+
+            broker.on('worker_message', function (msg, worker) {
+                if (msg === "Reporting for duty") {
+                    state.gotAcknowledgement.should.be.exactly(false);
+                    state.gotAcknowledgement = true;
+
+                    setTimeout(() => {
+                        const lastHeartbeat = broker._workerState[worker.id].lastHeartbeat;
+                        lastHeartbeat.should.be.a.Number();
+                        (Date.now() - lastHeartbeat).should.be.lessThan(150);
+                        broker.drainWorkers();
+                    }, 300);
+                } else {
+                    console.log('got message from worker', msg, worker);
+                    throw new Error('Should not have received this message from worker');
+                }
+            });
+
+            broker.on('worker_unresponsive', function () {
+                throw new Error('Worker should have kept sending heartbeats.');
+            });
+
+            broker.on('worker_death', function (event) {
+                event.should.be.an.Object();
+                throw new Error('Worker should not have died unless we told it to.');
+            });
+
+            broker.on('worker_ended', function (event) {
+                event.should.be.an.Object();
+                state.gotAcknowledgement.should.be.exactly(true);
+
+                // We ran through all the states!
+                setTimeout(function () {
+                    done();
+                }, 1000);
+            });
+
+            broker.should.be.an.Object();
+            broker._workerIds.okanjoWorker.should.be.an.Array();
+        });
+
+        it('should recycle an OkanjoWorker whose heartbeats are over the memory limit', function (done) {
+
+            this.timeout(5000);
+
+            const app = new OkanjoApp({}),
+                broker = new OkanjoBroker(app, "okanjoWorker", {workerCount: 1, heartbeatInterval: 50, memoryLimit: { heapUsed: 1, cooldown: 0 }});
+
+            const state = {
+                firstWorkerId: broker._workerIds.okanjoWorker[0],
+                recycled: false
+            };
+
+            broker.on('worker_message', function (msg) {
+                msg.should.be.exactly('Reporting for duty');
+            });
+
+            broker.on('worker_recycled', function (event) {
+                event.id.should.be.exactly(state.firstWorkerId);
+                event.reason.should.be.exactly('memory_heap');
+                event.value.should.be.greaterThan(1);
+                event.limit.should.be.exactly(1);
+                state.recycled = true;
+
+                // Everything is over a 1 byte limit, so let the replacement be
+                broker.memoryLimit = null;
+            });
+
+            broker.on('worker_death', function () {
+                throw new Error('Worker should not have died unless we told it to.');
+            });
+
+            broker.on('worker_ended', function (event) {
+                if (event.id === state.firstWorkerId) {
+                    state.recycled.should.be.exactly(true);
+                    broker.drainWorkers();
+                } else {
+                    setTimeout(function () {
+                        done();
+                    }, 1000);
+                }
+            });
+        });
+
         it('should spawn an OkanjoWorker and die with SIGINT', function (done) {
 
             this.timeout(5000);
@@ -312,6 +907,27 @@ if (cluster.isMaster) {
                     } else {
                         super();
                     }
+
+                    // Give the broker something to talk to
+                    this.handle('echo', (args) => args);
+                    this.handle('fail', async () => {
+                        const err = new Error('Nope');
+                        err.code = 'E_NOPE';
+                        throw err;
+                    });
+                    this.handle('hang', () => new Promise(() => {}));
+                    this.handle('work', (count) => this.countJob(count));
+                    this.handle('startOps', (interval) => this.startOpsReporter(interval));
+                    this.handle('relay', (args) => this.askBroker(args.method, args.args, args.options));
+                    this.handle('oddsFail', () => {
+                        if (cluster.worker.id % 2) throw new Error('Odd worker');
+                        return cluster.worker.id;
+                    });
+                }
+
+                // Add some custom fields to the ops stats
+                async getOpsData() {
+                    return { custom: 'yes', jobs: 3 };
                 }
 
                 // Make the init function hold open the process